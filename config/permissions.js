@@ -0,0 +1,215 @@
+// Permission registry
+// Each permission is `<resource>:<action>`. `pages` lists the legacy allowedPages
+// paths that granted the permission, used when migrating users to roles.
+// `apiKey` marks permissions that may be granted to API keys as scopes.
+export const PERMISSIONS = {
+  'header-sales:read': {
+    description: 'View header sales invoices',
+    pages: ['/header-sales'],
+    apiKey: true,
+  },
+  'header-sales:write': {
+    description: 'Create, update, delete and import header sales',
+    apiKey: true,
+  },
+  'sales-by-month:read': {
+    description: 'View total sales by month',
+    pages: ['/header-sales/by-month'],
+    apiKey: true,
+  },
+  'sales-reports:read': {
+    description: 'View sales breakdowns and analytics reports',
+    apiKey: true,
+  },
+  'cash-sales:read': {
+    description: 'View cash sales reports',
+    pages: ['/cash-sales'],
+    apiKey: true,
+  },
+  'insurance-sales:read': {
+    description: 'View insurance sales reports',
+    pages: ['/insurance'],
+    apiKey: true,
+  },
+  'wasfaty-sales:read': {
+    description: 'View Wasfaty sales reports',
+    pages: ['/wasfaty'],
+    apiKey: true,
+  },
+  'online-sales:read': {
+    description: 'View online sales reports',
+    pages: ['/online'],
+    apiKey: true,
+  },
+  'incentive-items:read': {
+    description: 'View incentive items',
+    pages: ['/incentive-items'],
+    apiKey: true,
+  },
+  'incentive-items:write': {
+    description: 'Create, update, delete and import incentive items',
+    apiKey: true,
+  },
+  'contests:read': {
+    description: 'View contests',
+    pages: ['/contests'],
+    apiKey: true,
+  },
+  'contests:write': {
+    description: 'Create, update, delete and import contests',
+    apiKey: true,
+  },
+  'insurance-items:read': {
+    description: 'View insurance items',
+    pages: ['/insurance-items'],
+    apiKey: true,
+  },
+  'insurance-items:write': {
+    description: 'Create, update, delete and import insurance items',
+    apiKey: true,
+  },
+  'baby-joy:read': {
+    description: 'View Baby Joy items',
+    pages: ['/baby-joy'],
+    apiKey: true,
+  },
+  'baby-joy:write': {
+    description: 'Create, update, delete and import Baby Joy items',
+    apiKey: true,
+  },
+  'pharmacies:read': {
+    description: 'View pharmacies',
+  },
+  'pharmacies:write': {
+    description: 'Create, update and delete pharmacies and assign pharmacists',
+  },
+  'users:read': {
+    description: 'View users',
+  },
+  'users:write': {
+    description: 'Create, update and delete users',
+  },
+  'visits:read': {
+    description: 'View page visit logs and statistics',
+  },
+  'login-attempts:read': {
+    description: 'Review login attempts and suspicious login activity',
+  },
+  'roles:read': {
+    description: 'View roles and the permission registry',
+  },
+  'roles:write': {
+    description: 'Create, update and delete roles',
+  },
+  'invoice-types:read': {
+    description: 'View invoice type definitions',
+  },
+  'invoice-types:write': {
+    description: 'Create, update and delete invoice type definitions',
+  },
+  'cashier-aliases:read': {
+    description: 'View links between sales user names and user accounts',
+  },
+  'cashier-aliases:write': {
+    description: 'Link sales user names to user accounts',
+  },
+  'sales-targets:read': {
+    description: 'View monthly sales targets and their achievement',
+  },
+  'sales-targets:write': {
+    description: 'Create, update, delete and upload monthly sales targets',
+  },
+  'api-keys:read': {
+    description: 'View API keys for machine integrations',
+  },
+  'api-keys:write': {
+    description: 'Create, update and revoke API keys',
+  },
+};
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Grants every permission, including ones added to the registry later
+export const WILDCARD_PERMISSION = '*';
+
+export const isValidPermission = (permission) =>
+  permission === WILDCARD_PERMISSION || Boolean(PERMISSIONS[permission]);
+
+// Permissions that can be granted to API keys; user management stays with people
+export const API_KEY_PERMISSIONS = ALL_PERMISSIONS.filter(permission => PERMISSIONS[permission].apiKey);
+
+export const isValidApiKeyScope = (permission) => API_KEY_PERMISSIONS.includes(permission);
+
+// Built-in roles created by the roles migration; they cannot be deleted
+export const SYSTEM_ROLES = {
+  admin: {
+    description: 'Full access to every resource',
+    permissions: [WILDCARD_PERMISSION],
+  },
+  'pharmacy supervisor': {
+    description: 'Supervises pharmacies and their pharmacists',
+    permissions: ['pharmacies:read', 'users:read'],
+  },
+  pharmacist: {
+    description: 'Works in an assigned pharmacy',
+    permissions: ['pharmacies:read'],
+  },
+  user: {
+    description: 'Default role for new accounts',
+    permissions: ['pharmacies:read'],
+  },
+};
+
+export const DEFAULT_ROLE = 'user';
+
+// Map legacy allowedPages paths to the permissions they grant
+export const pagesToPermissions = (pages = []) => ALL_PERMISSIONS.filter(
+  permission => (PERMISSIONS[permission].pages || []).some(page => pages.includes(page))
+);
+
+const expandPermissions = (permissions = []) => (
+  permissions.includes(WILDCARD_PERMISSION) ? ALL_PERMISSIONS : permissions
+);
+
+// Check whether a user has a role by name (requires roles to be populated)
+export const hasRole = (user, roleName) => Boolean(
+  user && (user.roles || []).some(role => role && role.name === roleName)
+);
+
+// Supervisors only see their own pharmacies and pharmacists unless they are also admins
+export const isScopedSupervisor = (user) => hasRole(user, 'pharmacy supervisor') && !hasRole(user, 'admin');
+
+// Get the full list of permissions a user holds from their roles and direct grants
+// (requires roles to be populated)
+export const getEffectivePermissions = (user) => {
+  if (!user) {
+    return [];
+  }
+
+  const rolePermissions = (user.roles || []).flatMap(role => expandPermissions(role?.permissions));
+  const directPermissions = expandPermissions(user.permissions || []);
+
+  return [...new Set([...rolePermissions, ...directPermissions])]
+    .filter(permission => PERMISSIONS[permission])
+    .sort();
+};
+
+export const hasPermission = (user, permission) => getEffectivePermissions(user).includes(permission);
+
+// Whether the user holds the wildcard itself through a role or a direct grant
+export const hasWildcardPermission = (user) => Boolean(user) && [
+  ...(user.roles || []).flatMap(role => role?.permissions || []),
+  ...(user.permissions || []),
+].includes(WILDCARD_PERMISSION);
+
+// Permissions out of `permissions` the user may not grant to a role, user or API key:
+// everything they do not hold themselves, and the wildcard unless they hold it
+// (requires roles to be populated)
+export const getUngrantablePermissions = (user, permissions = []) => {
+  const held = getEffectivePermissions(user);
+  const holdsWildcard = hasWildcardPermission(user);
+
+  return [...new Set(permissions)].filter(permission => (
+    permission === WILDCARD_PERMISSION ? !holdsWildcard : !held.includes(permission)
+  ));
+};
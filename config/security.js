@@ -0,0 +1,57 @@
+// Security settings, read from the environment when used so .env values are picked up
+
+const intFromEnv = (name, defaultValue) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+};
+
+const boolFromEnv = (name, defaultValue) => {
+  if (process.env[name] === undefined || process.env[name] === '') {
+    return defaultValue;
+  }
+  return process.env[name].toLowerCase() === 'true';
+};
+
+// Login brute-force protection
+export const getLoginThrottleConfig = () => ({
+  // Failed attempts allowed before delays start
+  freeAttempts: intFromEnv('LOGIN_FREE_ATTEMPTS', 3),
+  // First delay in seconds, doubled after each further failure
+  baseDelaySeconds: intFromEnv('LOGIN_BASE_DELAY_SECONDS', 2),
+  maxDelaySeconds: intFromEnv('LOGIN_MAX_DELAY_SECONDS', 60),
+  // Failed attempts for one account before it is locked
+  maxUserAttempts: intFromEnv('LOGIN_MAX_ATTEMPTS', 5),
+  lockMinutes: intFromEnv('LOGIN_LOCK_MINUTES', 15),
+  // Failed attempts from one IP address within the window before it is blocked
+  maxIpAttempts: intFromEnv('LOGIN_MAX_IP_ATTEMPTS', 20),
+  ipWindowMinutes: intFromEnv('LOGIN_IP_WINDOW_MINUTES', 15),
+});
+
+// Password policy applied whenever a password is set
+export const getPasswordPolicy = () => ({
+  minLength: intFromEnv('PASSWORD_MIN_LENGTH', 8),
+  requireUppercase: boolFromEnv('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: boolFromEnv('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: boolFromEnv('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: boolFromEnv('PASSWORD_REQUIRE_SYMBOL', false),
+  disallowUsername: boolFromEnv('PASSWORD_DISALLOW_USERNAME', true),
+});
+
+// Admin-issued password reset tokens
+export const getPasswordResetConfig = () => ({
+  expiresMinutes: intFromEnv('PASSWORD_RESET_EXPIRES_MINUTES', 60),
+});
+
+// Express "trust proxy" setting, so req.ip is the client address behind a reverse proxy
+// TRUST_PROXY: true/false, a number of proxy hops, or addresses/subnets such as "loopback, 10.0.0.0/8"
+// Unset means no proxy is trusted and req.ip is the address of the connection
+export const getTrustProxySetting = () => {
+  const value = process.env.TRUST_PROXY?.trim();
+  if (!value || value.toLowerCase() === 'false') {
+    return false;
+  }
+  if (value.toLowerCase() === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
@@ -0,0 +1,256 @@
+import ApiKey from '../models/ApiKey.js';
+import {
+  PERMISSIONS,
+  API_KEY_PERMISSIONS,
+  getEffectivePermissions,
+  getUngrantablePermissions,
+} from '../config/permissions.js';
+import { generateApiKey } from '../utils/apiKeys.js';
+import colors from 'colors';
+
+// Fields an admin may set when creating or updating a key
+const EDITABLE_FIELDS = ['name', 'scopes', 'storeCodes', 'expiresAt'];
+
+const pickEditableFields = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Respond with 403 when a key would get scopes its creator does not hold; returns true if it did
+const rejectUngrantableScopes = (req, res) => {
+  if (req.body.scopes === undefined) {
+    return false;
+  }
+
+  const ungrantable = getUngrantablePermissions(req.user, [req.body.scopes].flat());
+  if (ungrantable.length === 0) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'You cannot give an API key permissions you do not hold.',
+    scopes: ungrantable,
+  });
+  return true;
+};
+
+// @desc    Get all API keys
+// @route   GET /api/api-keys
+// @access  Private - requires api-keys:read
+export const getApiKeys = async (req, res) => {
+  try {
+    const { includeRevoked } = req.query;
+
+    const query = {};
+    if (includeRevoked !== 'true') {
+      query.revokedAt = { $exists: false };
+    }
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('createdBy', 'username firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys,
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the permissions that can be granted to API keys
+// @route   GET /api/api-keys/scopes
+// @access  Private - requires api-keys:read
+export const getApiKeyScopes = async (req, res) => {
+  try {
+    const held = getEffectivePermissions(req.user);
+
+    res.status(200).json({
+      success: true,
+      // Only scopes the caller holds can be given to a key
+      data: API_KEY_PERMISSIONS.filter(key => held.includes(key)).map(key => ({
+        key,
+        description: PERMISSIONS[key].description,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching API key scopes:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API key scopes',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single API key
+// @route   GET /api/api-keys/:id
+// @access  Private - requires api-keys:read
+export const getApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id)
+      .populate('createdBy', 'username firstName lastName');
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: apiKey,
+    });
+  } catch (error) {
+    console.error('Error fetching API key:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API key',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create new API key
+// @route   POST /api/api-keys
+// @access  Private - requires api-keys:write
+export const createApiKey = async (req, res) => {
+  try {
+    if (rejectUngrantableScopes(req, res)) {
+      return;
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      ...pickEditableFields(req.body),
+      prefix,
+      keyHash,
+      createdBy: req.user._id,
+    });
+
+    // The raw key is returned only here; it cannot be recovered later
+    res.status(201).json({
+      success: true,
+      data: {
+        ...apiKey.toJSON(),
+        key,
+      },
+    });
+  } catch (error) {
+    console.error('Error creating API key:'.red, error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const messages = error.errors
+        ? Object.values(error.errors).map(err => err.message)
+        : [error.message];
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update API key name, scopes, stores or expiry
+// @route   PUT /api/api-keys/:id
+// @access  Private - requires api-keys:write
+export const updateApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revoked API keys cannot be changed',
+      });
+    }
+
+    if (rejectUngrantableScopes(req, res)) {
+      return;
+    }
+
+    apiKey.set(pickEditableFields(req.body));
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      data: apiKey,
+    });
+  } catch (error) {
+    console.error('Error updating API key:'.red, error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const messages = error.errors
+        ? Object.values(error.errors).map(err => err.message)
+        : [error.message];
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating API key',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Revoke API key (kept for auditing)
+// @route   DELETE /api/api-keys/:id
+// @access  Private - requires api-keys:write
+export const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error revoking API key:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: error.message,
+    });
+  }
+};
@@ -1,6 +1,62 @@
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Pharmacy from '../models/Pharmacy.js';
+import {
+  issueTokens,
+  findActiveRefreshToken,
+  claimRefreshToken,
+  hashToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} from '../utils/tokens.js';
+import { createSession, isSessionActive, revokeSession, revokeUserSessions } from '../utils/sessions.js';
+import { verifyTwoFactorCode, consumeBackupCode, isTwoFactorRequired } from '../utils/twoFactor.js';
+import { validatePassword } from '../utils/passwordPolicy.js';
+import { getPasswordPolicy as getPasswordPolicyConfig } from '../config/security.js';
+import { getEffectivePermissions } from '../config/permissions.js';
+import {
+  claimIpAttempt,
+  finishLoginAttempt,
+  discardLoginAttempt,
+  checkUserThrottle,
+  claimUserAttempt,
+  releaseUserAttempt,
+  registerFailedLogin,
+  resetFailedLogins,
+  sendThrottled,
+} from '../utils/loginThrottle.js';
 import colors from 'colors';
 
+// Finish a successful login: clear failures, record it, start a session and issue tokens
+const completeLogin = async (req, res, user, attempt) => {
+  await resetFailedLogins(user._id);
+  await finishLoginAttempt(attempt, { username: user.username, user, success: true, reason: 'success' });
+
+  // Issue a signed access token and a refresh token bound to a new session
+  const session = await createSession(user, req);
+  const { token, refreshToken, expiresAt } = await issueTokens(user, session, req.ip);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      user: {
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        roles: user.roles.map(role => role.name),
+        permissions: getEffectivePermissions(user),
+        mustChangePassword: user.mustChangePassword,
+        twoFactorEnabled: user.twoFactorEnabled,
+        twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactorEnabled,
+      },
+      token: token,
+      refreshToken,
+      expiresAt,
+      sessionId: session._id,
+    },
+  });
+};
 
 // @desc    Login user
 // @route   POST /api/auth/login
@@ -17,83 +73,443 @@ export const login = async (req, res) => {
       });
     }
 
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Username and password must be strings',
+      });
+    }
+
+    const normalizedUsername = username.toLowerCase();
+
+    // Slow down or block IP addresses with many recent failures
+    const ipThrottle = await claimIpAttempt(req, { username: normalizedUsername });
+    const { attempt } = ipThrottle;
+    if (ipThrottle.blocked) {
+      await finishLoginAttempt(attempt, { success: false, reason: 'ip_blocked' });
+      return sendThrottled(res, ipThrottle, true);
+    }
+
     // Find user by username
-    const user = await User.findOne({ username: username.toLowerCase() });
+    const user = await User.findOne({ username: normalizedUsername })
+      .select('+password')
+      .populate('roles', 'name permissions requireTwoFactor');
 
     if (!user) {
+      await finishLoginAttempt(attempt, { success: false, reason: 'unknown_user' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
       });
     }
 
+    // Check if the account is locked or has to wait after recent failures
+    const userThrottle = checkUserThrottle(user);
+    if (userThrottle.locked || userThrottle.throttled) {
+      await finishLoginAttempt(attempt, {
+        user,
+        success: false,
+        reason: userThrottle.locked ? 'locked' : 'throttled',
+      });
+      return sendThrottled(res, userThrottle);
+    }
+
     // Check if user is active
     if (!user.isActive) {
+      await finishLoginAttempt(attempt, { user, success: false, reason: 'inactive' });
       return res.status(401).json({
         success: false,
         message: 'Your account has been deactivated. Please contact an administrator.',
       });
     }
 
-    // Simple password check (in production, use bcrypt for hashing)
-    // For now, we'll do a simple comparison
-    // TODO: Implement proper password hashing with bcrypt
-    if (user.password !== password) {
+    // Count the attempt before checking the password so parallel guesses cannot share one check
+    const claim = await claimUserAttempt(user);
+    if (!claim.claimed) {
+      await finishLoginAttempt(attempt, {
+        user,
+        success: false,
+        reason: claim.locked ? 'locked' : 'throttled',
+      });
+      return sendThrottled(res, claim);
+    }
+
+    const isMatch = await user.matchPassword(password);
+
+    if (!isMatch) {
+      await finishLoginAttempt(attempt, { user, success: false, reason: 'invalid_credentials' });
+      const updated = await registerFailedLogin(user);
+
+      if (updated?.lockUntil && updated.lockUntil > new Date()) {
+        return res.status(423).json({
+          success: false,
+          message: 'Your account is temporarily locked after too many failed login attempts.',
+          lockUntil: updated.lockUntil,
+        });
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
       });
     }
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    // Migrate legacy plaintext passwords to a hash on first successful login
+    if (!user.isPasswordHashed()) {
+      user.password = password;
+      // Passwords set before the policy existed must be replaced
+      if (validatePassword(password, user).length > 0) {
+        user.mustChangePassword = true;
+      }
+      await user.save({ validateModifiedOnly: true });
+    }
+
+    // Users with 2FA enabled must confirm a code before getting tokens
+    // The right password gives back its claim without clearing earlier failures, as those also count wrong codes;
+    // the 2FA step records the outcome of the login
+    if (user.twoFactorEnabled) {
+      await releaseUserAttempt(user._id, claim);
+      await discardLoginAttempt(attempt);
+      return res.status(200).json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          ...generateTwoFactorChallenge(user),
+        },
+      });
+    }
+
+    await completeLogin(req, res, user, attempt);
+  } catch (error) {
+    console.error('Error during login:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error during login',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Complete login with a 2FA code or backup code
+// @route   POST /api/auth/2fa/login
+// @access  Public
+export const twoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide challenge token and code',
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallenge(challengeToken);
+    } catch (err) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please log in again.',
+      });
+    }
+
+    const ipThrottle = await claimIpAttempt(req, { user: { _id: decoded.id } });
+    const { attempt } = ipThrottle;
+    if (ipThrottle.blocked) {
+      await finishLoginAttempt(attempt, { success: false, reason: 'ip_blocked' });
+      return sendThrottled(res, ipThrottle, true);
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorBackupCodes')
+      .populate('roles', 'name permissions requireTwoFactor');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      await discardLoginAttempt(attempt);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please log in again.',
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const claim = await claimUserAttempt(user);
+    if (!claim.claimed) {
+      await finishLoginAttempt(attempt, {
+        username: user.username,
+        user,
+        success: false,
+        reason: claim.locked ? 'locked' : 'throttled',
+      });
+      return sendThrottled(res, claim);
+    }
 
-    // Generate a simple token (in production, use JWT)
-    // For now, we'll use a simple token
-    const token = `token_${user._id}_${Date.now()}`;
+    let isValid = await verifyTwoFactorCode(user, user.twoFactorSecret, code);
+    if (!isValid && consumeBackupCode(user, code)) {
+      await user.save({ validateModifiedOnly: true });
+      isValid = true;
+    }
+
+    if (!isValid) {
+      await finishLoginAttempt(attempt, { username: user.username, user, success: false, reason: 'invalid_2fa_code' });
+      await registerFailedLogin(user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    await completeLogin(req, res, user, attempt);
+  } catch (error) {
+    console.error('Error during 2FA login:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error during login',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public
+export const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    // Claim the token first so each one can only be used once, even by parallel requests
+    const { refreshToken: storedToken, reused } = await claimRefreshToken(refreshToken);
+
+    // A used token coming back means it was copied; end the session it belongs to
+    if (reused) {
+      await revokeSession(reused.session, 'token_reuse');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.',
+      });
+    }
+
+    if (!storedToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+      });
+    }
+
+    const session = await Session.findById(storedToken.session);
+
+    if (!isSessionActive(session)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please log in again.',
+      });
+    }
+
+    const user = await User.findById(storedToken.user);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or deactivated',
+      });
+    }
+
+    // Rotate the refresh token
+    const tokens = await issueTokens(user, session, req.ip);
+    storedToken.replacedByHash = hashToken(tokens.refreshToken);
+    await storedToken.save();
 
     res.status(200).json({
       success: true,
-      data: {
-        user: {
-          username: user.username,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          role: user.role,
-          allowedPages: user.allowedPages || [],
-        },
-        token: token,
-      },
+      data: tokens,
     });
   } catch (error) {
-    console.error('Error during login:'.red, error);
+    console.error('Error refreshing token:'.red, error);
     res.status(500).json({
       success: false,
-      message: 'Error during login',
+      message: 'Error refreshing token',
       error: error.message,
     });
   }
 };
 
+// @desc    Logout user (end the refresh token's session)
+// @route   POST /api/auth/logout
+// @access  Public
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    const storedToken = await findActiveRefreshToken(refreshToken);
+
+    if (storedToken) {
+      await revokeSession(storedToken.session, 'logout');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error during logout:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error during logout',
+      error: error.message,
+    });
+  }
+};
+
+// Fields users may change on their own profile
+const SELF_EDITABLE_FIELDS = ['phone', 'whatsapp', 'profilePicture'];
+const SELF_EDITABLE_ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country'];
+
+// Build the /me payload: profile, effective permissions and assigned pharmacies
+const buildProfile = async (user) => {
+  const pharmacies = await Pharmacy.find({
+    $or: [{ supervisor: user._id }, { pharmacists: user._id }],
+  }).select('branchCode name address.city isActive supervisor');
+
+  return {
+    ...user.toJSON(),
+    permissions: getEffectivePermissions(user),
+    pharmacies: pharmacies.map(pharmacy => ({
+      _id: pharmacy._id,
+      branchCode: pharmacy.branchCode,
+      name: pharmacy.name,
+      city: pharmacy.address?.city,
+      isActive: pharmacy.isActive,
+      assignment: pharmacy.supervisor && pharmacy.supervisor.toString() === user._id.toString()
+        ? 'supervisor'
+        : 'pharmacist',
+    })),
+  };
+};
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
 export const getMe = async (req, res) => {
   try {
-    // In a real app, you'd get user from JWT token
-    // For now, we'll use a simple approach
-    const { username } = req.query;
-    
-    if (!username) {
+    res.status(200).json({
+      success: true,
+      data: await buildProfile(req.user),
+    });
+  } catch (error) {
+    console.error('Error fetching user:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update current user's profile
+// @route   PUT /api/auth/me
+// @access  Private
+export const updateMe = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).populate('roles', 'name permissions');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Only contact details can be self-edited; roles and permissions are ignored
+    SELF_EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        user.set(field, req.body[field]);
+      }
+    });
+
+    if (req.body.address && typeof req.body.address === 'object') {
+      SELF_EDITABLE_ADDRESS_FIELDS.forEach(field => {
+        if (req.body.address[field] !== undefined) {
+          user.set(`address.${field}`, req.body.address[field]);
+        }
+      });
+    }
+
+    await user.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      success: true,
+      data: await buildProfile(user),
+    });
+  } catch (error) {
+    console.error('Error updating profile:'.red, error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating profile',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the password policy
+// @route   GET /api/auth/password-policy
+// @access  Public
+export const getPasswordPolicy = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: getPasswordPolicyConfig(),
+    });
+  } catch (error) {
+    console.error('Error fetching password policy:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching password policy',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Change current user's password
+// @route   POST /api/auth/change-password
+// @access  Private (allowed while a password change is pending)
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
       return res.status(400).json({
         success: false,
-        message: 'Username is required',
+        message: 'Please provide current password and new password',
       });
     }
 
-    const user = await User.findOne({ username: username.toLowerCase() }).select('-password');
+    const user = await User.findById(req.user._id).select('+password');
 
     if (!user) {
       return res.status(404).json({
@@ -102,17 +518,108 @@ export const getMe = async (req, res) => {
       });
     }
 
+    if (!(await user.matchPassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password',
+      });
+    }
+
+    const policyErrors = validatePassword(newPassword, user);
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: policyErrors,
+      });
+    }
+
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    await user.save({ validateModifiedOnly: true });
+
+    // Sign out every session and hand this device a fresh one
+    await revokeUserSessions(user._id, { reason: 'password_change' });
+    const session = await createSession(user, req, req.authSession.deviceName);
+    const tokens = await issueTokens(user, session, req.ip);
+
     res.status(200).json({
       success: true,
-      data: user,
+      message: 'Password changed successfully',
+      data: { ...tokens, sessionId: session._id },
     });
   } catch (error) {
-    console.error('Error fetching user:'.red, error);
+    console.error('Error changing password:'.red, error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching user',
+      message: 'Error changing password',
       error: error.message,
     });
   }
 };
 
+// @desc    Reset password with an admin-issued one-time token
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide reset token and new password',
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token',
+      });
+    }
+
+    const policyErrors = validatePassword(newPassword, user);
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: policyErrors,
+      });
+    }
+
+    // The token is single use
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateModifiedOnly: true });
+
+    await revokeUserSessions(user._id, { reason: 'password_change' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error resetting password:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message,
+    });
+  }
+};
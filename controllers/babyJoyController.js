@@ -1,35 +1,12 @@
 import BabyJoy from '../models/BabyJoy.js';
+import { previewCatalogChanges } from '../utils/catalogChangeSets.js';
 import colors from 'colors';
 
 // @desc    Get all baby joy items
 // @route   GET /api/baby-joy
-// @access  Private - Admin or users with /baby-joy in allowedPages
+// @access  Private - requires baby-joy:read
 export const getBabyJoyItems = async (req, res) => {
   try {
-    const user = req.user;
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route.',
-      });
-    }
-
-    // Admins have access to all pages
-    const isAdmin = user.role && user.role.toLowerCase() === 'admin';
-    
-    // Check if user has access to baby-joy page
-    const allowedPages = user.allowedPages || [];
-    const hasPageAccess = allowedPages.includes('/baby-joy');
-    
-    if (!isAdmin && !hasPageAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You do not have permission to view baby joy items.',
-        reason: 'You must be an administrator or have been granted access to baby joy items.',
-      });
-    }
-    
     const { 
       Material,
       Brand,
@@ -152,20 +129,9 @@ export const getBabyJoyItems = async (req, res) => {
 
 // @desc    Get single baby joy item
 // @route   GET /api/baby-joy/:id
-// @access  Private - Admin only
+// @access  Private - requires baby-joy:read
 export const getBabyJoyItem = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can access baby joy items
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can view baby joy items.',
-        reason: 'You must be an administrator to access baby joy items.',
-      });
-    }
-    
     const babyJoyItem = await BabyJoy.findById(req.params.id);
     
     if (!babyJoyItem) {
@@ -191,20 +157,9 @@ export const getBabyJoyItem = async (req, res) => {
 
 // @desc    Create new baby joy item
 // @route   POST /api/baby-joy
-// @access  Private - Admin only
+// @access  Private - requires baby-joy:write
 export const createBabyJoyItem = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can create baby joy items
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can create baby joy items.',
-        reason: 'You must be an administrator to create baby joy items.',
-      });
-    }
-    
     const babyJoyItem = await BabyJoy.create(req.body);
     
     res.status(201).json({
@@ -241,20 +196,9 @@ export const createBabyJoyItem = async (req, res) => {
 
 // @desc    Update baby joy item
 // @route   PUT /api/baby-joy/:id
-// @access  Private - Admin only
+// @access  Private - requires baby-joy:write
 export const updateBabyJoyItem = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can update baby joy items
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can update baby joy items.',
-        reason: 'You must be an administrator to update baby joy items.',
-      });
-    }
-    
     const babyJoyItem = await BabyJoy.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -305,20 +249,9 @@ export const updateBabyJoyItem = async (req, res) => {
 
 // @desc    Delete baby joy item
 // @route   DELETE /api/baby-joy/:id
-// @access  Private - Admin only
+// @access  Private - requires baby-joy:write
 export const deleteBabyJoyItem = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can delete baby joy items
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can delete baby joy items.',
-        reason: 'You must be an administrator to delete baby joy items.',
-      });
-    }
-    
     const babyJoyItem = await BabyJoy.findByIdAndDelete(req.params.id);
     
     if (!babyJoyItem) {
@@ -345,33 +278,9 @@ export const deleteBabyJoyItem = async (req, res) => {
 
 // @desc    Get unique filter values (Brands and Forms)
 // @route   GET /api/baby-joy/filters
-// @access  Private - Admin or users with /baby-joy in allowedPages
+// @access  Private - requires baby-joy:read
 export const getBabyJoyFilters = async (req, res) => {
   try {
-    const user = req.user;
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route.',
-      });
-    }
-
-    // Admins have access to all pages
-    const isAdmin = user.role && user.role.toLowerCase() === 'admin';
-    
-    // Check if user has access to baby-joy page
-    const allowedPages = user.allowedPages || [];
-    const hasPageAccess = allowedPages.includes('/baby-joy');
-    
-    if (!isAdmin && !hasPageAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You do not have permission to view baby joy items.',
-        reason: 'You must be an administrator or have been granted access to baby joy items.',
-      });
-    }
-    
     // Get distinct brands and forms
     const brands = await BabyJoy.distinct('Brand', { Brand: { $exists: true, $ne: null } });
     const forms = await BabyJoy.distinct('Form', { Form: { $exists: true, $ne: null } });
@@ -395,20 +304,9 @@ export const getBabyJoyFilters = async (req, res) => {
 
 // @desc    Bulk create baby joy items
 // @route   POST /api/baby-joy/bulk
-// @access  Private - Admin only
+// @access  Private - requires baby-joy:write
 export const bulkCreateBabyJoyItems = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can bulk create baby joy items
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can bulk create baby joy items.',
-        reason: 'You must be an administrator to bulk create baby joy items.',
-      });
-    }
-    
     const { items } = req.body;
     
     if (!Array.isArray(items) || items.length === 0) {
@@ -418,6 +316,17 @@ export const bulkCreateBabyJoyItems = async (req, res) => {
       });
     }
     
+    // Preview the changes without writing; the result can be applied with the commit endpoint
+    if (req.query.dryRun === 'true') {
+      const preview = await previewCatalogChanges('baby-joy', items, req);
+      
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        data: preview,
+      });
+    }
+    
     const babyJoyItems = await BabyJoy.insertMany(items, {
       ordered: false,
     });
@@ -448,4 +357,3 @@ export const bulkCreateBabyJoyItems = async (req, res) => {
     });
   }
 };
-
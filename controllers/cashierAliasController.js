@@ -0,0 +1,221 @@
+import CashierAlias from '../models/CashierAlias.js';
+import HeaderSales from '../models/HeaderSales.js';
+import User from '../models/User.js';
+import { sendSaveError } from '../utils/saveErrors.js';
+import colors from 'colors';
+
+const USER_FIELDS = 'firstName lastName email username';
+
+// How sendSaveError words errors about cashier alias documents
+const SAVE_ERRORS = {
+  entity: 'cashier alias',
+  duplicate: {
+    message: 'Duplicate user name',
+    error: 'This user name is already linked to a user',
+  },
+};
+
+// @desc    Get all links between sales user names and user accounts
+// @route   GET /api/cashier-aliases
+// @access  Private - requires cashier-aliases:read
+export const getCashierAliases = async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    const query = {};
+    if (userId) {
+      query.user = userId;
+    }
+
+    const aliases = await CashierAlias.find(query)
+      .populate('user', USER_FIELDS)
+      .sort({ userName: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: aliases.length,
+      data: aliases,
+    });
+  } catch (error) {
+    console.error('Error fetching cashier aliases:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cashier aliases',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get sales user names not linked to a user account yet
+//          suggestedUser is the user whose username matches the sales user name, if any
+// @route   GET /api/cashier-aliases/unlinked
+// @access  Private - requires cashier-aliases:read
+export const getUnlinkedUserNames = async (req, res) => {
+  try {
+    const linked = await CashierAlias.distinct('userName');
+
+    const unlinked = await HeaderSales.aggregate([
+      { $match: { UserName: { $nin: [...linked, '', null] } } },
+      {
+        $group: {
+          _id: '$UserName',
+          count: { $sum: 1 },
+          stores: { $addToSet: '$StoreCode' },
+          lastInvoiceDate: { $max: '$Date' },
+        },
+      },
+      { $sort: { count: -1 } },
+    ]);
+
+    const users = await User.find({
+      username: { $in: unlinked.map(item => item._id.toLowerCase()) },
+    }).select(USER_FIELDS);
+    const userByUsername = new Map(users.map(user => [user.username, user]));
+
+    res.status(200).json({
+      success: true,
+      count: unlinked.length,
+      data: unlinked.map(({ _id, count, stores, lastInvoiceDate }) => ({
+        userName: _id,
+        count,
+        stores: stores.sort((a, b) => a - b),
+        lastInvoiceDate,
+        suggestedUser: userByUsername.get(_id.toLowerCase()) ?? null,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching unlinked user names:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching unlinked user names',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single cashier alias
+// @route   GET /api/cashier-aliases/:id
+// @access  Private - requires cashier-aliases:read
+export const getCashierAlias = async (req, res) => {
+  try {
+    const alias = await CashierAlias.findById(req.params.id).populate('user', USER_FIELDS);
+
+    if (!alias) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cashier alias not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: alias,
+    });
+  } catch (error) {
+    console.error('Error fetching cashier alias:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cashier alias',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Link a sales user name to a user account
+// @route   POST /api/cashier-aliases
+// @access  Private - requires cashier-aliases:write
+export const createCashierAlias = async (req, res) => {
+  try {
+    const { userName, user } = req.body;
+
+    if (user && !(await User.exists({ _id: user }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const alias = await CashierAlias.create({
+      userName,
+      user,
+      createdBy: req.user?._id,
+    });
+    await alias.populate('user', USER_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      data: alias,
+    });
+  } catch (error) {
+    console.error('Error creating cashier alias:'.red, error);
+    sendSaveError(res, error, 'creating', SAVE_ERRORS);
+  }
+};
+
+// @desc    Update cashier alias
+// @route   PUT /api/cashier-aliases/:id
+// @access  Private - requires cashier-aliases:write
+export const updateCashierAlias = async (req, res) => {
+  try {
+    const alias = await CashierAlias.findById(req.params.id);
+
+    if (!alias) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cashier alias not found',
+      });
+    }
+
+    const { userName, user } = req.body;
+
+    if (user !== undefined && !(await User.exists({ _id: user }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (userName !== undefined) alias.userName = userName;
+    if (user !== undefined) alias.user = user;
+
+    await alias.save();
+    await alias.populate('user', USER_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      data: alias,
+    });
+  } catch (error) {
+    console.error('Error updating cashier alias:'.red, error);
+    sendSaveError(res, error, 'updating', SAVE_ERRORS);
+  }
+};
+
+// @desc    Delete cashier alias
+// @route   DELETE /api/cashier-aliases/:id
+// @access  Private - requires cashier-aliases:write
+export const deleteCashierAlias = async (req, res) => {
+  try {
+    const alias = await CashierAlias.findByIdAndDelete(req.params.id);
+
+    if (!alias) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cashier alias not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Cashier alias deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting cashier alias:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting cashier alias',
+      error: error.message,
+    });
+  }
+};
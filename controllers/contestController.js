@@ -1,35 +1,12 @@
 import Contest from '../models/Contest.js';
+import { previewCatalogChanges } from '../utils/catalogChangeSets.js';
 import colors from 'colors';
 
 // @desc    Get all contests
 // @route   GET /api/contests
-// @access  Private - Admin or users with /contests in allowedPages
+// @access  Private - requires contests:read
 export const getContests = async (req, res) => {
   try {
-    const user = req.user;
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route.',
-      });
-    }
-
-    // Admins have access to all pages
-    const isAdmin = user.role && user.role.toLowerCase() === 'admin';
-    
-    // Check if user has access to contests page
-    const allowedPages = user.allowedPages || [];
-    const hasPageAccess = allowedPages.includes('/contests');
-    
-    if (!isAdmin && !hasPageAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You do not have permission to view contests.',
-        reason: 'You must be an administrator or have been granted access to contests.',
-      });
-    }
-    
     const { 
       Company, 
       Category, 
@@ -135,33 +112,9 @@ export const getContests = async (req, res) => {
 
 // @desc    Get single contest
 // @route   GET /api/contests/:id
-// @access  Private - Admin or users with /contests in allowedPages
+// @access  Private - requires contests:read
 export const getContest = async (req, res) => {
   try {
-    const user = req.user;
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route.',
-      });
-    }
-
-    // Admins have access to all pages
-    const isAdmin = user.role && user.role.toLowerCase() === 'admin';
-    
-    // Check if user has access to contests page
-    const allowedPages = user.allowedPages || [];
-    const hasPageAccess = allowedPages.includes('/contests');
-    
-    if (!isAdmin && !hasPageAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You do not have permission to view contests.',
-        reason: 'You must be an administrator or have been granted access to contests.',
-      });
-    }
-    
     const contest = await Contest.findById(req.params.id);
     
     if (!contest) {
@@ -187,20 +140,9 @@ export const getContest = async (req, res) => {
 
 // @desc    Create new contest
 // @route   POST /api/contests
-// @access  Private - Admin only
+// @access  Private - requires contests:write
 export const createContest = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can create contests
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can create contests.',
-        reason: 'You must be an administrator to create contests.',
-      });
-    }
-    
     const contest = await Contest.create(req.body);
     
     res.status(201).json({
@@ -229,20 +171,9 @@ export const createContest = async (req, res) => {
 
 // @desc    Update contest
 // @route   PUT /api/contests/:id
-// @access  Private - Admin only
+// @access  Private - requires contests:write
 export const updateContest = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can update contests
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can update contests.',
-        reason: 'You must be an administrator to update contests.',
-      });
-    }
-    
     const contest = await Contest.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -285,20 +216,9 @@ export const updateContest = async (req, res) => {
 
 // @desc    Delete contest
 // @route   DELETE /api/contests/:id
-// @access  Private - Admin only
+// @access  Private - requires contests:write
 export const deleteContest = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can delete contests
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can delete contests.',
-        reason: 'You must be an administrator to delete contests.',
-      });
-    }
-    
     const contest = await Contest.findByIdAndDelete(req.params.id);
     
     if (!contest) {
@@ -325,20 +245,9 @@ export const deleteContest = async (req, res) => {
 
 // @desc    Bulk create contests
 // @route   POST /api/contests/bulk
-// @access  Private - Admin only
+// @access  Private - requires contests:write
 export const bulkCreateContests = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can bulk create contests
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can bulk create contests.',
-        reason: 'You must be an administrator to bulk create contests.',
-      });
-    }
-    
     const { items } = req.body;
     
     if (!Array.isArray(items) || items.length === 0) {
@@ -348,6 +257,17 @@ export const bulkCreateContests = async (req, res) => {
       });
     }
     
+    // Preview the changes without writing; the result can be applied with the commit endpoint
+    if (req.query.dryRun === 'true') {
+      const preview = await previewCatalogChanges('contests', items, req);
+      
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        data: preview,
+      });
+    }
+    
     const contests = await Contest.insertMany(items, {
       ordered: false,
     });
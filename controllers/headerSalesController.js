@@ -1,35 +1,46 @@
 import HeaderSales from '../models/HeaderSales.js';
+import SalesLine from '../models/SalesLine.js';
+import { applyStoreScope, isStoreAllowed } from '../utils/apiKeys.js';
+import { compareLineTotals, invoiceLinesQuery } from '../utils/salesLines.js';
+import {
+  upsertHeaderSales,
+  resolveImportMapping,
+  mapImportColumns,
+  validateImportRecords,
+} from '../utils/headerSalesImport.js';
+import { readSpreadsheet } from '../utils/spreadsheet.js';
+import {
+  BREAKDOWN_DIMENSIONS,
+  BREAKDOWN_METRICS,
+  parseList,
+  compareYearMonth,
+  buildSalesMatch,
+  salesMetricAccumulators,
+  computeSalesMetrics,
+  buildChannelMonthlyReport,
+  getSalesBreakdown,
+  STORE_RANKING_METRICS,
+  getStoreLeaderboard,
+  HEATMAP_BUCKET_MINUTES,
+  getSalesHeatmap,
+  getCashierReport,
+} from '../utils/salesAggregation.js';
+import { resolveComparisonPeriods, compareSalesPeriods } from '../utils/salesComparison.js';
+import {
+  CUSTOMER_NAME_FIELDS,
+  CUSTOMER_SORT_METRICS,
+  getTopCustomers,
+  getCustomerHistory,
+} from '../utils/customerSales.js';
+import { getInvoiceTypeDefinitions } from '../utils/invoiceTypes.js';
+import { normalizeArabicText } from '../utils/arabic.js';
 import colors from 'colors';
 
 // @desc    Get all header sales
 // @route   GET /api/header-sales
-// @access  Private - Admin or users with /header-sales in allowedPages
+// @access  Private - requires header-sales:read
 export const getHeaderSales = async (req, res) => {
   try {
-    const user = req.user;
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route.',
-      });
-    }
-
-    // Admins have access to all pages
-    const isAdmin = user.role && user.role.toLowerCase() === 'admin';
-    
-    // Check if user has access to header-sales page
-    const allowedPages = user.allowedPages || [];
-    const hasPageAccess = allowedPages.includes('/header-sales');
-    
-    if (!isAdmin && !hasPageAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You do not have permission to view header sales.',
-        reason: 'You must be an administrator or have been granted access to header sales.',
-      });
-    }
-
     const { 
       StoreCode, 
       InvoiceNumber,
@@ -55,6 +66,9 @@ export const getHeaderSales = async (req, res) => {
       query.StoreCode = parseInt(StoreCode);
     }
     
+    // API keys limited to some stores only see those stores
+    applyStoreScope(req, query);
+    
     if (InvoiceNumber) {
       query.InvoiceNumber = new RegExp(InvoiceNumber, 'i');
     }
@@ -141,10 +155,10 @@ export const getHeaderSales = async (req, res) => {
 
 // @desc    Get single header sale
 // @route   GET /api/header-sales/:id
-// @access  Private
+// @access  Private - requires header-sales:read
 export const getHeaderSale = async (req, res) => {
   try {
-    const headerSale = await HeaderSales.findById(req.params.id);
+    const headerSale = await HeaderSales.findOne(applyStoreScope(req, { _id: req.params.id }));
     
     if (!headerSale) {
       return res.status(404).json({
@@ -167,11 +181,51 @@ export const getHeaderSale = async (req, res) => {
   }
 };
 
+// @desc    Get the sales lines of a header sale with a line total check
+// @route   GET /api/header-sales/:id/lines
+// @access  Private - requires header-sales:read
+export const getHeaderSaleLines = async (req, res) => {
+  try {
+    const headerSale = await HeaderSales.findOne(applyStoreScope(req, { _id: req.params.id }));
+    
+    if (!headerSale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Header sale not found',
+      });
+    }
+    
+    const lines = await SalesLine.find(invoiceLinesQuery(headerSale)).sort({ createdAt: 1 });
+    const definitions = await getInvoiceTypeDefinitions();
+    
+    res.status(200).json({
+      success: true,
+      count: lines.length,
+      consistency: compareLineTotals(headerSale, lines, definitions),
+      data: lines,
+    });
+  } catch (error) {
+    console.error('Error fetching header sale lines:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching header sale lines',
+      error: error.message,
+    });
+  }
+};
+
 // @desc    Create new header sale
 // @route   POST /api/header-sales
-// @access  Private
+// @access  Private - requires header-sales:write
 export const createHeaderSale = async (req, res) => {
   try {
+    if (!isStoreAllowed(req, req.body.StoreCode)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This API key cannot write sales for this store.',
+      });
+    }
+    
     const headerSale = await HeaderSales.create(req.body);
     
     res.status(201).json({
@@ -190,6 +244,14 @@ export const createHeaderSale = async (req, res) => {
       });
     }
     
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Duplicate invoice',
+        error: 'An invoice with this store code, invoice number and invoice type already exists',
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Error creating header sale',
@@ -200,11 +262,18 @@ export const createHeaderSale = async (req, res) => {
 
 // @desc    Update header sale
 // @route   PUT /api/header-sales/:id
-// @access  Private
+// @access  Private - requires header-sales:write
 export const updateHeaderSale = async (req, res) => {
   try {
-    const headerSale = await HeaderSales.findByIdAndUpdate(
-      req.params.id,
+    if (req.body.StoreCode !== undefined && !isStoreAllowed(req, req.body.StoreCode)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This API key cannot write sales for this store.',
+      });
+    }
+    
+    const headerSale = await HeaderSales.findOneAndUpdate(
+      applyStoreScope(req, { _id: req.params.id }),
       req.body,
       {
         new: true,
@@ -235,6 +304,14 @@ export const updateHeaderSale = async (req, res) => {
       });
     }
     
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Duplicate invoice',
+        error: 'An invoice with this store code, invoice number and invoice type already exists',
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Error updating header sale',
@@ -245,10 +322,10 @@ export const updateHeaderSale = async (req, res) => {
 
 // @desc    Delete header sale
 // @route   DELETE /api/header-sales/:id
-// @access  Private
+// @access  Private - requires header-sales:write
 export const deleteHeaderSale = async (req, res) => {
   try {
-    const headerSale = await HeaderSales.findByIdAndDelete(req.params.id);
+    const headerSale = await HeaderSales.findOneAndDelete(applyStoreScope(req, { _id: req.params.id }));
     
     if (!headerSale) {
       return res.status(404).json({
@@ -273,11 +350,13 @@ export const deleteHeaderSale = async (req, res) => {
 };
 
 // @desc    Bulk create header sales
+//          mode "insert" (default) inserts every item; mode "upsert" inserts new invoices,
+//          updates changed ones and reports what happened to each row, so re-sending is safe
 // @route   POST /api/header-sales/bulk
-// @access  Private
+// @access  Private - requires header-sales:write
 export const bulkCreateHeaderSales = async (req, res) => {
   try {
-    const { items } = req.body;
+    const { items, mode = 'insert' } = req.body;
     
     if (!Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
@@ -286,6 +365,39 @@ export const bulkCreateHeaderSales = async (req, res) => {
       });
     }
     
+    if (!['insert', 'upsert'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mode must be either insert or upsert',
+      });
+    }
+    
+    // Reject the whole batch if any item belongs to a store the API key may not write
+    const forbidden = items
+      .map((item, index) => ({ index, StoreCode: item?.StoreCode }))
+      .filter(item => !isStoreAllowed(req, item.StoreCode));
+    
+    if (forbidden.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This API key cannot write sales for some of the stores.',
+        errors: forbidden.map(item => ({
+          index: item.index,
+          error: `Store ${item.StoreCode} is not allowed for this API key`,
+        })),
+      });
+    }
+    
+    if (mode === 'upsert') {
+      const { summary, rows } = await upsertHeaderSales(items);
+      
+      return res.status(200).json({
+        success: true,
+        summary,
+        data: rows,
+      });
+    }
+    
     const headerSales = await HeaderSales.insertMany(items, {
       ordered: false,
     });
@@ -317,79 +429,175 @@ export const bulkCreateHeaderSales = async (req, res) => {
   }
 };
 
-// @desc    Get header sales grouped by month
-// @route   GET /api/header-sales/by-month
-// @access  Private - Admin or users with /header-sales/by-month in allowedPages
-export const getHeaderSalesByMonth = async (req, res) => {
-  try {
-    const user = req.user;
+// Number of valid rows echoed back in an import preview
+const IMPORT_PREVIEW_ROWS = 20;
 
-    if (!user) {
-      return res.status(401).json({
+// @desc    Import header sales from a CSV or Excel export
+//          Without commit=true only the validation report is returned; with it the valid
+//          rows are upserted. Invalid rows block the commit unless skipInvalid=true.
+// @route   POST /api/header-sales/import (multipart: file, mappingId, commit, skipInvalid)
+// @access  Private - requires header-sales:write
+export const importHeaderSalesFile = async (req, res) => {
+  try {
+    const { mappingId } = req.body;
+    const commit = req.body.commit === 'true';
+    const skipInvalid = req.body.skipInvalid === 'true';
+    
+    const mapping = await resolveImportMapping(mappingId);
+    
+    if (!mapping) {
+      return res.status(404).json({
         success: false,
-        message: 'Not authorized to access this route.',
+        message: 'Import mapping not found',
       });
     }
-
-    // Admins have access to all pages
-    const isAdmin = user.role && user.role.toLowerCase() === 'admin';
     
-    // Check if user has access to header-sales/by-month page
-    const allowedPages = user.allowedPages || [];
-    const hasPageAccess = allowedPages.includes('/header-sales/by-month');
+    let spreadsheet;
+    try {
+      spreadsheet = readSpreadsheet(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file could not be read as CSV or Excel',
+        error: error.message,
+      });
+    }
     
-    if (!isAdmin && !hasPageAccess) {
-      return res.status(403).json({
+    const { headers, records } = spreadsheet;
+    const columns = mapImportColumns(headers, mapping);
+    
+    if (records.length === 0 || columns.missingRequired.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: records.length === 0
+          ? 'The file has no data rows'
+          : `Required columns are missing: ${columns.missingRequired.join(', ')}`,
+        columns,
+      });
+    }
+    
+    const rows = validateImportRecords(records, columns.mapped, {
+      dateFormat: mapping.dateFormat,
+      isStoreAllowed: (storeCode) => isStoreAllowed(req, storeCode),
+    });
+    const validRows = rows.filter(row => row.status === 'valid');
+    const invalidRows = rows.filter(row => row.status === 'invalid');
+    
+    const validation = {
+      total: rows.length,
+      valid: validRows.length,
+      invalid: invalidRows.length,
+    };
+    
+    const report = {
+      validation,
+      columns,
+      errors: invalidRows.map(({ row, errors }) => ({ row, errors })),
+      preview: validRows.slice(0, IMPORT_PREVIEW_ROWS).map(({ row, data }) => ({ row, data })),
+    };
+    
+    if (!commit) {
+      return res.status(200).json({
+        success: true,
+        committed: false,
+        ...report,
+      });
+    }
+    
+    if (invalidRows.length > 0 && !skipInvalid) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file has invalid rows. Fix them or import with skipInvalid=true.',
+        committed: false,
+        ...report,
+      });
+    }
+    
+    const { summary, rows: results } = await upsertHeaderSales(validRows.map(row => row.data));
+    
+    res.status(200).json({
+      success: true,
+      committed: true,
+      validation,
+      summary: { ...summary, skipped: invalidRows.length },
+      errors: report.errors,
+      data: results.map(({ index, ...result }) => ({ row: validRows[index].row, ...result })),
+    });
+  } catch (error) {
+    console.error('Error importing header sales file:'.red, error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied. You do not have permission to view sales by month.',
-        reason: 'You must be an administrator or have been granted access to sales by month.',
+        message: 'Invalid import mapping id',
       });
     }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error importing header sales file',
+      error: error.message,
+    });
+  }
+};
 
-    const { Year } = req.query;
+// @desc    Get header sales grouped by month with gross sales, returns, net sales and return rate
+//          Returns are the invoice types defined with the return sign
+// @route   GET /api/header-sales/by-month
+// @access  Private - requires sales-by-month:read
+export const getHeaderSalesByMonth = async (req, res) => {
+  try {
+    const { Year, StoreCode } = req.query;
     
     // Build match query
     const matchQuery = {};
+    if (StoreCode) {
+      matchQuery.StoreCode = parseInt(StoreCode);
+    }
+    applyStoreScope(req, matchQuery);
+    // The year filter offers the years of the same stores
+    const yearsQuery = { ...matchQuery };
     if (Year) {
       matchQuery.Year = parseInt(Year);
     }
     
-    // Aggregation pipeline to group by Year and Month, and sum TotalAmountAfterDiscount
-    const salesByMonth = await HeaderSales.aggregate([
+    const definitions = await getInvoiceTypeDefinitions();
+    
+    // Aggregation pipeline to group by Year and Month, splitting sales from returns
+    const totals = await HeaderSales.aggregate([
       // Match documents based on year filter
       { $match: matchQuery },
-      // Group by Year and Month, sum TotalAmountAfterDiscount
+      // Group by Year and Month
       {
         $group: {
           _id: {
             Year: '$Year',
             Month: '$Month'
           },
-          TotalAmountAfterDiscount: { $sum: '$TotalAmountAfterDiscount' },
-          count: { $sum: 1 }
-        }
-      },
-      // Sort by Year and Month
-      {
-        $sort: {
-          '_id.Year': 1,
-          '_id.Month': 1
-        }
-      },
-      // Project to reshape the output
-      {
-        $project: {
-          _id: 0,
-          Year: '$_id.Year',
-          Month: '$_id.Month',
-          TotalAmountAfterDiscount: 1,
-          count: 1
+          ...salesMetricAccumulators(definitions),
         }
       }
     ]);
     
+    // Net out returns; TotalAmountAfterDiscount is kept as the net sales of the month
+    const salesByMonth = totals
+      .map(({ _id, ...values }) => {
+        const { net, gross, returns, returnRate, invoiceCount } = computeSalesMetrics(values);
+        return {
+          Year: _id.Year,
+          Month: _id.Month,
+          gross,
+          returns,
+          net,
+          returnRate,
+          TotalAmountAfterDiscount: net,
+          count: invoiceCount,
+        };
+      })
+      .sort(compareYearMonth);
+    
     // Get all available years for the filter
-    const availableYears = await HeaderSales.distinct('Year');
+    const availableYears = await HeaderSales.distinct('Year', yearsQuery);
     const sortedYears = availableYears.sort((a, b) => b - a); // Sort descending
     
     res.status(200).json({
@@ -408,619 +616,416 @@ export const getHeaderSalesByMonth = async (req, res) => {
   }
 };
 
-// @desc    Get cash header sales grouped by month with invoice type totals
-// @route   GET /api/header-sales/cash-by-month
-// @access  Private - Admin or users with /cash-sales in allowedPages
-export const getCashHeaderSalesByMonth = async (req, res) => {
+// @desc    Get header sales totals grouped by any combination of dimensions
+//          groupBy: year, month, week, day, hour, StoreCode, InvoiceType, UserName, channel (default year,month)
+//          metrics: net, gross, returns, returnRate, invoiceCount, averageInvoice (default all)
+//          Filters: StoreCode (comma separated), from, to, Year, Month, InvoiceType, channel
+// @route   GET /api/header-sales/breakdown
+// @access  Private - requires sales-reports:read
+export const getHeaderSalesBreakdown = async (req, res) => {
   try {
-    const user = req.user;
+    const groupBy = req.query.groupBy === undefined ? ['year', 'month'] : parseList(req.query.groupBy);
+    const metrics = req.query.metrics === undefined ? BREAKDOWN_METRICS : parseList(req.query.metrics);
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route.',
-      });
+    const definitions = await getInvoiceTypeDefinitions();
+    const { matchQuery, errors } = buildSalesMatch(req, definitions);
+
+    const unknownDimensions = groupBy.filter(dimension => !Object.hasOwn(BREAKDOWN_DIMENSIONS, dimension));
+    if (unknownDimensions.length > 0) {
+      errors.push(`Unknown groupBy: ${unknownDimensions.join(', ')}. Allowed: ${Object.keys(BREAKDOWN_DIMENSIONS).join(', ')}`);
     }
 
-    // Admins have access to all pages
-    const isAdmin = user.role && user.role.toLowerCase() === 'admin';
-    
-    // Check if user has access to cash-sales page
-    const allowedPages = user.allowedPages || [];
-    const hasPageAccess = allowedPages.includes('/cash-sales');
-    
-    if (!isAdmin && !hasPageAccess) {
-      return res.status(403).json({
+    const unknownMetrics = metrics.filter(metric => !BREAKDOWN_METRICS.includes(metric));
+    if (unknownMetrics.length > 0) {
+      errors.push(`Unknown metrics: ${unknownMetrics.join(', ')}. Allowed: ${BREAKDOWN_METRICS.join(', ')}`);
+    } else if (metrics.length === 0) {
+      errors.push('Select at least one metric');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied. You do not have permission to view cash sales.',
-        reason: 'You must be an administrator or have been granted access to cash sales.',
+        message: 'Invalid breakdown query',
+        errors,
       });
     }
 
-    const { Year } = req.query;
-    
-    // Build match query
-    const matchQuery = {};
-    if (Year) {
-      matchQuery.Year = parseInt(Year);
-    }
-    
-    // Aggregation pipeline to group by Year and Month, and calculate totals by invoice type
-    const salesByMonth = await HeaderSales.aggregate([
-      // Match documents based on year filter
-      { $match: matchQuery },
-      // Group by Year and Month, calculate totals for each invoice type
-      {
-        $group: {
-          _id: {
-            Year: '$Year',
-            Month: '$Month'
-          },
-          CashCustomer: {
-            $sum: {
-              $cond: [{ $eq: ['$InvoiceType', 'CashCustomer'] }, '$TotalAmountAfterDiscount', 0]
-            }
-          },
-          CreditCustomer: {
-            $sum: {
-              $cond: [{ $eq: ['$InvoiceType', 'CreditCustomer'] }, '$TotalAmountAfterDiscount', 0]
-            }
-          },
-          Normal: {
-            $sum: {
-              $cond: [{ $eq: ['$InvoiceType', 'Normal'] }, '$TotalAmountAfterDiscount', 0]
-            }
-          },
-          Online: {
-            $sum: {
-              $cond: [{ $eq: ['$InvoiceType', 'Online'] }, '$TotalAmountAfterDiscount', 0]
-            }
-          },
-          Return: {
-            $sum: {
-              $cond: [{ $eq: ['$InvoiceType', 'Return'] }, '$TotalAmountAfterDiscount', 0]
-            }
-          },
-          ReturnCashCustomer: {
-            $sum: {
-              $cond: [{ $eq: ['$InvoiceType', 'ReturnCashCustomer'] }, '$TotalAmountAfterDiscount', 0]
-            }
-          },
-          ReturnCreditCustomer: {
-            $sum: {
-              $cond: [{ $eq: ['$InvoiceType', 'ReturnCreditCustomer'] }, '$TotalAmountAfterDiscount', 0]
-            }
-          },
-          ReturnOnline: {
-            $sum: {
-              $cond: [{ $eq: ['$InvoiceType', 'ReturnOnline'] }, '$TotalAmountAfterDiscount', 0]
-            }
-          },
-          totalCount: { $sum: 1 }
-        }
-      },
-      // Sort by Year and Month
-      {
-        $sort: {
-          '_id.Year': 1,
-          '_id.Month': 1
-        }
-      },
-      // Project to reshape the output and calculate Total for each month
-      {
-        $project: {
-          _id: 0,
-          Year: '$_id.Year',
-          Month: '$_id.Month',
-          CashCustomer: 1,
-          CreditCustomer: 1,
-          Normal: 1,
-          Online: 1,
-          Return: 1,
-          ReturnCashCustomer: 1,
-          ReturnCreditCustomer: 1,
-          ReturnOnline: 1,
-          totalCount: 1,
-          Total: {
-            $add: [
-              '$CashCustomer',
-              '$CreditCustomer',
-              '$Normal',
-              '$Online',
-              '$Return',
-              '$ReturnCashCustomer',
-              '$ReturnCreditCustomer',
-              '$ReturnOnline'
-            ]
-          }
-        }
-      }
-    ]);
-    
-    // Calculate grand totals for all months
-    const grandTotals = salesByMonth.reduce((acc, item) => {
-      acc.CashCustomer += item.CashCustomer || 0;
-      acc.CreditCustomer += item.CreditCustomer || 0;
-      acc.Normal += item.Normal || 0;
-      acc.Online += item.Online || 0;
-      acc.Return += item.Return || 0;
-      acc.ReturnCashCustomer += item.ReturnCashCustomer || 0;
-      acc.ReturnCreditCustomer += item.ReturnCreditCustomer || 0;
-      acc.ReturnOnline += item.ReturnOnline || 0;
-      acc.Total += item.Total || 0;
-      acc.totalCount += item.totalCount || 0;
-      return acc;
-    }, {
-      CashCustomer: 0,
-      CreditCustomer: 0,
-      Normal: 0,
-      Online: 0,
-      Return: 0,
-      ReturnCashCustomer: 0,
-      ReturnCreditCustomer: 0,
-      ReturnOnline: 0,
-      Total: 0,
-      totalCount: 0
+    const breakdown = await getSalesBreakdown(matchQuery, definitions, {
+      groupBy: [...new Set(groupBy)],
+      metrics: [...new Set(metrics)],
     });
-    
-    // Get all available years for the filter
-    const availableYears = await HeaderSales.distinct('Year');
-    const sortedYears = availableYears.sort((a, b) => b - a); // Sort descending
-    
+
     res.status(200).json({
       success: true,
-      data: salesByMonth,
-      grandTotals: grandTotals,
-      availableYears: sortedYears,
-      selectedYear: Year ? parseInt(Year) : null,
+      count: breakdown.rows.length,
+      data: breakdown,
     });
   } catch (error) {
-    console.error('Error fetching cash header sales by month:'.red, error);
+    console.error('Error fetching header sales breakdown:'.red, error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching cash header sales by month',
+      message: 'Error fetching header sales breakdown',
       error: error.message,
     });
   }
 };
 
-// @desc    Get insurance header sales grouped by month with invoice type totals
-// @route   GET /api/header-sales/insurance-by-month
-// @access  Private - Admin or users with /insurance in allowedPages
-export const getInsuranceHeaderSalesByMonth = async (req, res) => {
+// @desc    Get branches ranked by net sales, invoice count and average basket, with their pharmacy
+//          sortBy: net (default), invoiceCount or averageInvoice
+//          The supervisor's email and phone are left out for API keys
+//          Filters: StoreCode (comma separated), from, to, Year, Month, InvoiceType, channel
+// @route   GET /api/header-sales/by-store
+// @access  Private - requires sales-reports:read
+export const getHeaderSalesByStore = async (req, res) => {
   try {
-    const user = req.user;
+    const { sortBy = 'net' } = req.query;
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route.',
-      });
+    const definitions = await getInvoiceTypeDefinitions();
+    const { matchQuery, errors } = buildSalesMatch(req, definitions);
+
+    if (!STORE_RANKING_METRICS.includes(sortBy)) {
+      errors.push(`Unknown sortBy: ${sortBy}. Allowed: ${STORE_RANKING_METRICS.join(', ')}`);
     }
 
-    // Admins have access to all pages
-    const isAdmin = user.role && user.role.toLowerCase() === 'admin';
-    
-    // Check if user has access to insurance page
-    const allowedPages = user.allowedPages || [];
-    const hasPageAccess = allowedPages.includes('/insurance');
-    
-    if (!isAdmin && !hasPageAccess) {
-      return res.status(403).json({
+    if (errors.length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied. You do not have permission to view insurance sales.',
-        reason: 'You must be an administrator or have been granted access to insurance.',
+        message: 'Invalid store ranking query',
+        errors,
       });
     }
 
-    const { Year } = req.query;
-    
-    // Build match query - filter for insurance-related invoice types
-    const matchQuery = {
-      InvoiceType: { $regex: /insurance/i } // Case-insensitive match for insurance
-    };
-    if (Year) {
-      matchQuery.Year = parseInt(Year);
-    }
-    
-    // First, get all distinct insurance invoice types
-    const insuranceInvoiceTypes = await HeaderSales.distinct('InvoiceType', {
-      InvoiceType: { $regex: /insurance/i }
+    // API keys can read this report, so supervisor contact details go to signed-in users only
+    const { stores, unmatchedStoreCodes } = await getStoreLeaderboard(matchQuery, definitions, {
+      sortBy,
+      includeContacts: !req.apiKey,
     });
-    
-    console.log('Insurance invoice types found:'.green, insuranceInvoiceTypes);
-    
-    // If no insurance invoice types found, return empty result
-    if (!insuranceInvoiceTypes || insuranceInvoiceTypes.length === 0) {
-      const availableYears = await HeaderSales.distinct('Year', {
-        InvoiceType: { $regex: /insurance/i }
-      });
-      return res.status(200).json({
-        success: true,
-        data: [],
-        grandTotals: {
-          Total: 0,
-          totalCount: 0
-        },
-        availableYears: availableYears.sort((a, b) => b - a),
-        selectedYear: Year ? parseInt(Year) : null,
-        insuranceInvoiceTypes: [],
-      });
-    }
-    
-    // Build dynamic group stage with all insurance invoice types
-    const groupStage = {
-      _id: {
-        Year: '$Year',
-        Month: '$Month'
-      },
-      totalCount: { $sum: 1 }
-    };
-    
-    // Add a field for each insurance invoice type
-    insuranceInvoiceTypes.forEach(invoiceType => {
-      groupStage[invoiceType] = {
-        $sum: {
-          $cond: [{ $eq: ['$InvoiceType', invoiceType] }, '$TotalAmountAfterDiscount', 0]
-        }
-      };
-    });
-    
-    // Aggregation pipeline to group by Year and Month, and calculate totals by invoice type
-    const salesByMonth = await HeaderSales.aggregate([
-      // Match documents based on year filter and insurance invoice types
-      { $match: matchQuery },
-      // Group by Year and Month, calculate totals for each insurance invoice type
-      {
-        $group: groupStage
-      },
-      // Sort by Year and Month
-      {
-        $sort: {
-          '_id.Year': 1,
-          '_id.Month': 1
-        }
-      },
-      // Project to reshape the output and calculate Total for each month
-      {
-        $project: (() => {
-          const projectStage = {
-            _id: 0,
-            Year: '$_id.Year',
-            Month: '$_id.Month',
-            totalCount: 1
-          };
-          
-          // Dynamically include all insurance invoice types
-          insuranceInvoiceTypes.forEach(type => {
-            projectStage[type] = 1;
-          });
-          
-          // Calculate total by summing all insurance invoice types
-          if (insuranceInvoiceTypes.length > 0) {
-            const addArray = insuranceInvoiceTypes.map(type => {
-              // Escape special characters in field names if needed
-              return `$${type}`;
-            });
-            projectStage.Total = { $add: addArray };
-          } else {
-            projectStage.Total = 0;
-          }
-          
-          return projectStage;
-        })()
-      }
-    ]);
-    
-    // Calculate grand totals for all months
-    const grandTotals = salesByMonth.reduce((acc, item) => {
-      insuranceInvoiceTypes.forEach(type => {
-        acc[type] = (acc[type] || 0) + (item[type] || 0);
-      });
-      acc.Total = (acc.Total || 0) + (item.Total || 0);
-      acc.totalCount = (acc.totalCount || 0) + (item.totalCount || 0);
-      return acc;
-    }, {
-      Total: 0,
-      totalCount: 0
-    });
-    
-    // Initialize all invoice types in grandTotals
-    insuranceInvoiceTypes.forEach(type => {
-      if (!grandTotals[type]) {
-        grandTotals[type] = 0;
-      }
-    });
-    
-    // Get all available years for the filter
-    const availableYears = await HeaderSales.distinct('Year', {
-      InvoiceType: { $regex: /insurance/i }
-    });
-    const sortedYears = availableYears.sort((a, b) => b - a); // Sort descending
-    
-    console.log('Insurance sales by month result:'.green, {
-      count: salesByMonth.length,
-      years: sortedYears,
-      invoiceTypes: insuranceInvoiceTypes
-    });
-    
+
     res.status(200).json({
       success: true,
-      data: salesByMonth,
-      grandTotals: grandTotals,
-      availableYears: sortedYears,
-      selectedYear: Year ? parseInt(Year) : null,
-      insuranceInvoiceTypes: insuranceInvoiceTypes,
+      count: stores.length,
+      data: stores,
+      unmatchedStoreCodes,
     });
   } catch (error) {
-    console.error('Error fetching insurance header sales by month:'.red, error);
+    console.error('Error fetching header sales by store:'.red, error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching insurance header sales by month',
+      message: 'Error fetching header sales by store',
       error: error.message,
     });
   }
 };
 
-// @desc    Get Wasfaty header sales grouped by month with Wasfaty and ReturnWasfaty totals
-// @route   GET /api/header-sales/wasfaty-by-month
-// @access  Private - Admin or users with /wasfaty in allowedPages
-export const getWasfatyHeaderSalesByMonth = async (req, res) => {
+// @desc    Get invoice count and net sales per weekday and time-of-day bucket, with the busiest and quietest slots
+//          bucketMinutes: 15, 30, 60 (default), 120, 180, 240, 360 or 720; slots: number of busiest/quietest slots (default 5)
+//          Filters: StoreCode (comma separated), from, to, Year, Month, InvoiceType, channel
+// @route   GET /api/header-sales/heatmap
+// @access  Private - requires sales-reports:read
+export const getHeaderSalesHeatmap = async (req, res) => {
   try {
-    const user = req.user;
+    const bucketMinutes = req.query.bucketMinutes ? parseInt(req.query.bucketMinutes) : 60;
+    const slots = req.query.slots ? parseInt(req.query.slots) : 5;
+
+    const definitions = await getInvoiceTypeDefinitions();
+    const { matchQuery, errors } = buildSalesMatch(req, definitions);
 
-    if (!user) {
-      return res.status(401).json({
+    if (!HEATMAP_BUCKET_MINUTES.includes(bucketMinutes)) {
+      errors.push(`bucketMinutes must be one of: ${HEATMAP_BUCKET_MINUTES.join(', ')}`);
+    }
+    if (!(slots > 0)) {
+      errors.push('slots must be a positive number');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to access this route.',
+        message: 'Invalid heatmap query',
+        errors,
       });
     }
 
-    // Admins have access to all pages
-    const isAdmin = user.role && user.role.toLowerCase() === 'admin';
-    
-    // Check if user has access to wasfaty page
-    const allowedPages = user.allowedPages || [];
-    const hasPageAccess = allowedPages.includes('/wasfaty');
-    
-    if (!isAdmin && !hasPageAccess) {
-      return res.status(403).json({
+    const heatmap = await getSalesHeatmap(matchQuery, definitions, { bucketMinutes, slots });
+
+    res.status(200).json({
+      success: true,
+      data: heatmap,
+    });
+  } catch (error) {
+    console.error('Error fetching header sales heatmap:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching header sales heatmap',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get per-cashier sales by HeaderSales.UserName: invoice count, net sales, average basket,
+//          returns and share of invoices per channel, with the linked user account
+//          Filters: StoreCode (comma separated), from, to, Year, Month, InvoiceType, channel
+// @route   GET /api/header-sales/by-cashier
+// @access  Private - requires sales-reports:read
+export const getHeaderSalesByCashier = async (req, res) => {
+  try {
+    const definitions = await getInvoiceTypeDefinitions();
+    const { matchQuery, errors } = buildSalesMatch(req, definitions);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied. You do not have permission to view Wasfaty sales.',
-        reason: 'You must be an administrator or have been granted access to Wasfaty.',
+        message: 'Invalid cashier report query',
+        errors,
       });
     }
 
-    const { Year } = req.query;
+    // API keys can read this report, so cashier emails go to signed-in users only
+    const cashiers = await getCashierReport(matchQuery, definitions, { includeContacts: !req.apiKey });
 
-    // Build match query - filter for Wasfaty-related invoice types
-    const matchQuery = {
-      InvoiceType: { $regex: /wasf/i },
-    };
-    if (Year) {
-      matchQuery.Year = parseInt(Year);
-    }
+    res.status(200).json({
+      success: true,
+      count: cashiers.length,
+      data: cashiers,
+    });
+  } catch (error) {
+    console.error('Error fetching header sales by cashier:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching header sales by cashier',
+      error: error.message,
+    });
+  }
+};
 
-    // Aggregation pipeline to group by Year and Month, and calculate totals for Wasfaty and ReturnWasfaty
-    const salesByMonth = await HeaderSales.aggregate([
-      { $match: matchQuery },
-      {
-        $group: {
-          _id: {
-            Year: '$Year',
-            Month: '$Month',
-          },
-          Wasfaty: {
-            $sum: {
-              $cond: [
-                {
-                  $and: [
-                    { $regexMatch: { input: '$InvoiceType', regex: /wasf/i } },
-                    { $not: [{ $regexMatch: { input: '$InvoiceType', regex: /return/i } }] },
-                  ],
-                },
-                '$TotalAmountAfterDiscount',
-                0,
-              ],
-            },
-          },
-          ReturnWasfaty: {
-            $sum: {
-              $cond: [
-                {
-                  $and: [
-                    { $regexMatch: { input: '$InvoiceType', regex: /wasf/i } },
-                    { $regexMatch: { input: '$InvoiceType', regex: /return/i } },
-                  ],
-                },
-                '$TotalAmountAfterDiscount',
-                0,
-              ],
-            },
-          },
-          totalCount: { $sum: 1 },
-        },
-      },
-      {
-        $sort: {
-          '_id.Year': 1,
-          '_id.Month': 1,
-        },
-      },
-      {
-        $project: {
-          _id: 0,
-          Year: '$_id.Year',
-          Month: '$_id.Month',
-          Wasfaty: 1,
-          ReturnWasfaty: 1,
-          totalCount: 1,
-          Total: {
-            $add: ['$Wasfaty', '$ReturnWasfaty'],
-          },
-        },
-      },
-    ]);
+// @desc    Get top customers by net sales, with purchase dates and return ratio
+//          Spellings of a name that differ only in whitespace or Arabic letter forms are one customer
+//          field: CustomerName (default) or ConsumerName; sortBy: net (default), gross, returns or invoiceCount
+//          Filters: StoreCode (comma separated), from, to, Year, Month, InvoiceType, channel
+// @route   GET /api/header-sales/customers
+// @access  Private - requires sales-reports:read
+export const getHeaderSalesCustomers = async (req, res) => {
+  try {
+    const { field = 'CustomerName', sortBy = 'net', limit = 50 } = req.query;
+    const limitNum = parseInt(limit);
 
-    // Calculate grand totals for all months
-    const grandTotals = salesByMonth.reduce(
-      (acc, item) => {
-        acc.Wasfaty += item.Wasfaty || 0;
-        acc.ReturnWasfaty += item.ReturnWasfaty || 0;
-        acc.Total += item.Total || 0;
-        acc.totalCount += item.totalCount || 0;
-        return acc;
-      },
-      {
-        Wasfaty: 0,
-        ReturnWasfaty: 0,
-        Total: 0,
-        totalCount: 0,
-      }
-    );
+    const definitions = await getInvoiceTypeDefinitions();
+    const { matchQuery, errors } = buildSalesMatch(req, definitions);
 
-    // Get all available years for the filter (only where Wasfaty/ReturnWasfaty exists)
-    const availableYears = await HeaderSales.distinct('Year', {
-      InvoiceType: { $regex: /wasf/i },
-    });
-    const sortedYears = availableYears.sort((a, b) => b - a);
+    if (!CUSTOMER_NAME_FIELDS.includes(field)) {
+      errors.push(`field must be one of: ${CUSTOMER_NAME_FIELDS.join(', ')}`);
+    }
+    if (!CUSTOMER_SORT_METRICS.includes(sortBy)) {
+      errors.push(`Unknown sortBy: ${sortBy}. Allowed: ${CUSTOMER_SORT_METRICS.join(', ')}`);
+    }
+    if (!(limitNum > 0)) {
+      errors.push('limit must be a positive number');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid customer report query',
+        errors,
+      });
+    }
+
+    const { total, customers } = await getTopCustomers(matchQuery, definitions, { field, sortBy, limit: limitNum });
 
     res.status(200).json({
       success: true,
-      data: salesByMonth,
-      grandTotals,
-      availableYears: sortedYears,
-      selectedYear: Year ? parseInt(Year) : null,
+      count: customers.length,
+      total,
+      data: customers,
     });
   } catch (error) {
-    console.error('Error fetching Wasfaty header sales by month:'.red, error);
+    console.error('Error fetching header sales customers:'.red, error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching Wasfaty header sales by month',
+      message: 'Error fetching header sales customers',
       error: error.message,
     });
   }
 };
 
-// @desc    Get Online header sales (Online + ReturnOnline) grouped by month
-// @route   GET /api/header-sales/online-by-month
-// @access  Private - Admin or users with /online in allowedPages
-export const getOnlineHeaderSalesByMonth = async (req, res) => {
+// @desc    Get the monthly history, purchase dates and return ratio of one customer
+//          name: any spelling of the customer; field: CustomerName (default) or ConsumerName
+//          Filters: StoreCode (comma separated), from, to, Year, Month, InvoiceType, channel
+// @route   GET /api/header-sales/customers/history
+// @access  Private - requires sales-reports:read
+export const getHeaderSalesCustomerHistory = async (req, res) => {
   try {
-    const user = req.user;
+    const { field = 'CustomerName', name } = req.query;
+
+    const definitions = await getInvoiceTypeDefinitions();
+    const { matchQuery, errors } = buildSalesMatch(req, definitions);
 
-    if (!user) {
-      return res.status(401).json({
+    if (!CUSTOMER_NAME_FIELDS.includes(field)) {
+      errors.push(`field must be one of: ${CUSTOMER_NAME_FIELDS.join(', ')}`);
+    }
+    // A name of only diacritics or tatweel would match every invoice without a customer name
+    if (typeof name !== 'string' || !normalizeArabicText(name)) {
+      errors.push('Customer name is required');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to access this route.',
+        message: 'Invalid customer history query',
+        errors,
       });
     }
 
-    // Admins have access to all pages
-    const isAdmin = user.role && user.role.toLowerCase() === 'admin';
-    
-    // Check if user has access to online page
-    const allowedPages = user.allowedPages || [];
-    const hasPageAccess = allowedPages.includes('/online');
-    
-    if (!isAdmin && !hasPageAccess) {
-      return res.status(403).json({
+    const history = await getCustomerHistory(matchQuery, definitions, { field, name });
+
+    if (!history) {
+      return res.status(404).json({
         success: false,
-        message: 'Access denied. You do not have permission to view Online sales.',
-        reason: 'You must be an administrator or have been granted access to Online.',
+        message: 'Customer not found',
       });
     }
-    const { Year } = req.query;
 
-    // Build match query - filter for Online-related invoice types
-    const matchQuery = {
-      InvoiceType: { $in: ['Online', 'ReturnOnline'] },
-    };
-    if (Year) {
-      matchQuery.Year = parseInt(Year);
+    res.status(200).json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    console.error('Error fetching customer history:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching customer history',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Compare sales of a period against the same period last year or the period before it
+//          period: month (Year, Month), quarter (Year, quarter), ytd (Year or to) or custom (from, to)
+//          compareWith: previousYear (default) or previousPeriod
+//          Filters: StoreCode (comma separated), InvoiceType, channel
+// @route   GET /api/header-sales/comparison
+// @access  Private - requires sales-reports:read
+export const getHeaderSalesComparison = async (req, res) => {
+  try {
+    const periods = resolveComparisonPeriods(req.query);
+    const definitions = await getInvoiceTypeDefinitions();
+    const { matchQuery, errors } = buildSalesMatch(req, definitions, { includeDates: false });
+
+    errors.push(...periods.errors);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comparison query',
+        errors,
+      });
     }
 
-    // Aggregation pipeline to group by Year and Month, and calculate totals for Online and ReturnOnline
-    const salesByMonth = await HeaderSales.aggregate([
-      { $match: matchQuery },
-      {
-        $group: {
-          _id: {
-            Year: '$Year',
-            Month: '$Month',
-          },
-          Online: {
-            $sum: {
-              $cond: [
-                { $eq: ['$InvoiceType', 'Online'] },
-                '$TotalAmountAfterDiscount',
-                0,
-              ],
-            },
-          },
-          ReturnOnline: {
-            $sum: {
-              $cond: [
-                { $eq: ['$InvoiceType', 'ReturnOnline'] },
-                '$TotalAmountAfterDiscount',
-                0,
-              ],
-            },
-          },
-          totalCount: { $sum: 1 },
-        },
-      },
-      {
-        $sort: {
-          '_id.Year': 1,
-          '_id.Month': 1,
-        },
-      },
-      {
-        $project: {
-          _id: 0,
-          Year: '$_id.Year',
-          Month: '$_id.Month',
-          Online: 1,
-          ReturnOnline: 1,
-          totalCount: 1,
-          // Online total = Online + ReturnOnline
-          Total: {
-            $add: ['$Online', '$ReturnOnline'],
-          },
-        },
-      },
-    ]);
+    const comparison = await compareSalesPeriods(matchQuery, definitions, periods);
 
-    // Calculate grand totals for all months
-    const grandTotals = salesByMonth.reduce(
-      (acc, item) => {
-        acc.Online += item.Online || 0;
-        acc.ReturnOnline += item.ReturnOnline || 0;
-        acc.Total += item.Total || 0;
-        acc.totalCount += item.totalCount || 0;
-        return acc;
+    res.status(200).json({
+      success: true,
+      data: {
+        period: periods.period,
+        compareWith: periods.compareWith,
+        current: periods.current,
+        previous: periods.previous,
+        ...comparison,
       },
-      {
-        Online: 0,
-        ReturnOnline: 0,
-        Total: 0,
-        totalCount: 0,
-      }
+    });
+  } catch (error) {
+    console.error('Error fetching header sales comparison:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching header sales comparison',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get cash header sales grouped by month with invoice type totals
+//          Invoice types come from the cash and online channels of the invoice type definitions,
+//          online included as this report always had the Online and ReturnOnline columns
+// @route   GET /api/header-sales/cash-by-month
+// @access  Private - requires cash-sales:read
+export const getCashHeaderSalesByMonth = async (req, res) => {
+  try {
+    const report = await buildChannelMonthlyReport(req, ['cash', 'online'], definition => definition.invoiceType);
+    
+    res.status(200).json({
+      success: true,
+      ...report,
+    });
+  } catch (error) {
+    console.error('Error fetching cash header sales by month:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cash header sales by month',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get insurance header sales grouped by month with invoice type totals
+//          Invoice types come from the insurance channel of the invoice type definitions
+// @route   GET /api/header-sales/insurance-by-month
+// @access  Private - requires insurance-sales:read
+export const getInsuranceHeaderSalesByMonth = async (req, res) => {
+  try {
+    const report = await buildChannelMonthlyReport(req, 'insurance', definition => definition.invoiceType);
+    
+    res.status(200).json({
+      success: true,
+      ...report,
+      insuranceInvoiceTypes: report.invoiceTypes.map(type => type.invoiceType),
+    });
+  } catch (error) {
+    console.error('Error fetching insurance header sales by month:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching insurance header sales by month',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get Wasfaty header sales grouped by month with Wasfaty and ReturnWasfaty totals
+// @route   GET /api/header-sales/wasfaty-by-month
+// @access  Private - requires wasfaty-sales:read
+export const getWasfatyHeaderSalesByMonth = async (req, res) => {
+  try {
+    const report = await buildChannelMonthlyReport(
+      req,
+      'wasfaty',
+      definition => (definition.sign === 'return' ? 'ReturnWasfaty' : 'Wasfaty')
     );
 
-    // Get all available years for the filter (only where Online/ReturnOnline exists)
-    const availableYears = await HeaderSales.distinct('Year', {
-      InvoiceType: { $in: ['Online', 'ReturnOnline'] },
+    res.status(200).json({
+      success: true,
+      ...report,
     });
-    const sortedYears = availableYears.sort((a, b) => b - a);
+  } catch (error) {
+    console.error('Error fetching Wasfaty header sales by month:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching Wasfaty header sales by month',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get Online header sales (Online + ReturnOnline) grouped by month
+// @route   GET /api/header-sales/online-by-month
+// @access  Private - requires online-sales:read
+export const getOnlineHeaderSalesByMonth = async (req, res) => {
+  try {
+    const report = await buildChannelMonthlyReport(
+      req,
+      'online',
+      definition => (definition.sign === 'return' ? 'ReturnOnline' : 'Online')
+    );
 
     res.status(200).json({
       success: true,
-      data: salesByMonth,
-      grandTotals,
-      availableYears: sortedYears,
-      selectedYear: Year ? parseInt(Year) : null,
+      ...report,
     });
   } catch (error) {
     console.error('Error fetching Online header sales by month:'.red, error);
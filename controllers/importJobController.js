@@ -0,0 +1,270 @@
+import ImportJob from '../models/ImportJob.js';
+import ImportJobError from '../models/ImportJobError.js';
+import { resolveImportMapping, mapImportColumns } from '../utils/headerSalesImport.js';
+import { getAllowedStoreCodes } from '../utils/apiKeys.js';
+import { readSpreadsheet, toCsv } from '../utils/spreadsheet.js';
+import { enqueueImportJob } from '../utils/importJobs.js';
+import colors from 'colors';
+
+// Errors included in a job's progress response
+const RECENT_ERRORS_LIMIT = 20;
+
+// API keys only see the jobs they submitted
+const jobScope = (req) => (req.apiKey ? { apiKey: req.apiKey._id } : {});
+
+// Format a stored cell value for the error rows CSV
+const toCsvValue = (value) => (value instanceof Date ? value.toISOString() : value ?? '');
+
+// @desc    Submit a header sales file to import in the background
+// @route   POST /api/imports (multipart: file, mappingId)
+// @access  Private - requires header-sales:write
+export const createImportJob = async (req, res) => {
+  try {
+    const mapping = await resolveImportMapping(req.body.mappingId);
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import mapping not found',
+      });
+    }
+
+    // Only the headers and first row are read here; the job reads the whole file when it runs
+    let spreadsheet;
+    try {
+      spreadsheet = readSpreadsheet(req.file.buffer, req.file.originalname, { maxRows: 1 });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file could not be read as CSV or Excel',
+        error: error.message,
+      });
+    }
+
+    const { headers, records } = spreadsheet;
+    const columns = mapImportColumns(headers, mapping);
+
+    if (records.length === 0 || columns.missingRequired.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: records.length === 0
+          ? 'The file has no data rows'
+          : `Required columns are missing: ${columns.missingRequired.join(', ')}`,
+        columns,
+      });
+    }
+
+    const job = await ImportJob.create({
+      fileName: req.file.originalname,
+      mapping: mapping._id,
+      headers,
+      storeCodes: getAllowedStoreCodes(req) || [],
+      createdBy: req.user?._id,
+      apiKey: req.apiKey?._id,
+    });
+
+    await enqueueImportJob(job, req.file.buffer, { columns: columns.mapped, dateFormat: mapping.dateFormat });
+
+    res.status(202).json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    console.error('Error creating import job:'.red, error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid import mapping id',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating import job',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get import jobs
+// @route   GET /api/imports
+// @access  Private - requires header-sales:write
+export const getImportJobs = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = jobScope(req);
+    if (status) {
+      query.status = status;
+    }
+
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const jobs = await ImportJob.find(query)
+      .populate('createdBy', 'username firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await ImportJob.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: jobs,
+    });
+  } catch (error) {
+    console.error('Error fetching import jobs:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching import jobs',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get an import job's progress and its most recent errors
+// @route   GET /api/imports/:id
+// @access  Private - requires header-sales:write
+export const getImportJob = async (req, res) => {
+  try {
+    const job = await ImportJob.findOne({ ...jobScope(req), _id: req.params.id })
+      .populate('createdBy', 'username firstName lastName');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found',
+      });
+    }
+
+    const errorCount = await ImportJobError.countDocuments({ job: job._id });
+    const recentErrors = await ImportJobError.find({ job: job._id })
+      .select('row messages')
+      .sort({ row: -1 })
+      .limit(RECENT_ERRORS_LIMIT);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...job.toObject(),
+        progress: job.totalRows > 0 ? Math.round((job.processedRows / job.totalRows) * 100) : 0,
+        errorCount,
+        recentErrors,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching import job:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching import job',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Download the rows of an import job that were not imported
+// @route   GET /api/imports/:id/errors.csv
+// @access  Private - requires header-sales:write
+export const downloadImportJobErrors = async (req, res) => {
+  try {
+    const job = await ImportJob.findOne({ ...jobScope(req), _id: req.params.id });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found',
+      });
+    }
+
+    const errors = await ImportJobError.find({ job: job._id }).sort({ row: 1 }).lean();
+
+    // The original columns come first so the file can be fixed and uploaded again
+    const csv = toCsv(
+      [...job.headers, 'Row', 'Errors'],
+      errors.map(error => [
+        ...job.headers.map(header => toCsvValue(error.values?.[header])),
+        error.row,
+        error.messages.join('; '),
+      ])
+    );
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`import-${job._id}-errors.csv`);
+    res.status(200).send(csv);
+  } catch (error) {
+    console.error('Error downloading import job errors:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading import job errors',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a queued or running import job
+//          A running job stops after the chunk in progress; rows already written are kept
+// @route   POST /api/imports/:id/cancel
+// @access  Private - requires header-sales:write
+export const cancelImportJob = async (req, res) => {
+  try {
+    const job = await ImportJob.findOne({ ...jobScope(req), _id: req.params.id });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found',
+      });
+    }
+
+    if (!['queued', 'running'].includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Import job is already ${job.status}`,
+      });
+    }
+
+    // A queued job has not started, so it can be cancelled straight away
+    // Both updates check the status, as the job may start or finish while this request runs
+    const cancelRequestedAt = new Date();
+    let cancelled = await ImportJob.findOneAndUpdate(
+      { _id: job._id, status: 'queued' },
+      { $set: { status: 'cancelled', cancelRequestedAt, finishedAt: cancelRequestedAt } },
+      { new: true }
+    );
+    if (!cancelled) {
+      cancelled = await ImportJob.findOneAndUpdate(
+        { _id: job._id, status: 'running' },
+        { $set: { cancelRequestedAt } },
+        { new: true }
+      );
+    }
+
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import job has already finished',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: cancelled.status === 'cancelled' ? 'Import job cancelled' : 'Import job will stop after the current chunk',
+      data: cancelled,
+    });
+  } catch (error) {
+    console.error('Error cancelling import job:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling import job',
+      error: error.message,
+    });
+  }
+};
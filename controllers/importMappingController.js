@@ -0,0 +1,173 @@
+import ImportMapping, { HEADER_SALES_IMPORT_FIELDS } from '../models/ImportMapping.js';
+import { DEFAULT_COLUMN_MAPPING, REQUIRED_IMPORT_FIELDS } from '../utils/headerSalesImport.js';
+import { sendSaveError } from '../utils/saveErrors.js';
+import colors from 'colors';
+
+// How sendSaveError words errors about import mapping documents
+const SAVE_ERRORS = {
+  entity: 'import mapping',
+  duplicate: {
+    message: 'Duplicate mapping name',
+    error: 'A mapping with this name already exists',
+  },
+};
+
+// @desc    Get all saved import mappings
+// @route   GET /api/import-mappings
+// @access  Private - requires header-sales:write
+export const getImportMappings = async (req, res) => {
+  try {
+    const mappings = await ImportMapping.find().sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: mappings.length,
+      data: mappings,
+    });
+  } catch (error) {
+    console.error('Error fetching import mappings:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching import mappings',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the importable fields and the built-in column mapping
+// @route   GET /api/import-mappings/fields
+// @access  Private - requires header-sales:write
+export const getImportFields = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        fields: HEADER_SALES_IMPORT_FIELDS,
+        requiredFields: REQUIRED_IMPORT_FIELDS,
+        defaultMapping: DEFAULT_COLUMN_MAPPING,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching import fields:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching import fields',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single import mapping
+// @route   GET /api/import-mappings/:id
+// @access  Private - requires header-sales:write
+export const getImportMapping = async (req, res) => {
+  try {
+    const mapping = await ImportMapping.findById(req.params.id);
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import mapping not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: mapping,
+    });
+  } catch (error) {
+    console.error('Error fetching import mapping:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching import mapping',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create new import mapping
+// @route   POST /api/import-mappings
+// @access  Private - requires header-sales:write
+export const createImportMapping = async (req, res) => {
+  try {
+    const { name, columns, dateFormat, isDefault } = req.body;
+
+    const mapping = await ImportMapping.create({
+      name,
+      columns,
+      dateFormat,
+      isDefault,
+      createdBy: req.user?._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: mapping,
+    });
+  } catch (error) {
+    console.error('Error creating import mapping:'.red, error);
+    sendSaveError(res, error, 'creating', SAVE_ERRORS);
+  }
+};
+
+// @desc    Update import mapping
+// @route   PUT /api/import-mappings/:id
+// @access  Private - requires header-sales:write
+export const updateImportMapping = async (req, res) => {
+  try {
+    const mapping = await ImportMapping.findById(req.params.id);
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import mapping not found',
+      });
+    }
+
+    const { name, columns, dateFormat, isDefault } = req.body;
+
+    if (name !== undefined) mapping.name = name;
+    if (columns !== undefined) mapping.columns = columns;
+    if (dateFormat !== undefined) mapping.dateFormat = dateFormat;
+    if (isDefault !== undefined) mapping.isDefault = isDefault;
+
+    await mapping.save();
+
+    res.status(200).json({
+      success: true,
+      data: mapping,
+    });
+  } catch (error) {
+    console.error('Error updating import mapping:'.red, error);
+    sendSaveError(res, error, 'updating', SAVE_ERRORS);
+  }
+};
+
+// @desc    Delete import mapping
+// @route   DELETE /api/import-mappings/:id
+// @access  Private - requires header-sales:write
+export const deleteImportMapping = async (req, res) => {
+  try {
+    const mapping = await ImportMapping.findByIdAndDelete(req.params.id);
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import mapping not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Import mapping deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting import mapping:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting import mapping',
+      error: error.message,
+    });
+  }
+};
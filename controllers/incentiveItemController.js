@@ -1,35 +1,12 @@
 import IncentiveItem from '../models/IncentiveItem.js';
+import { previewCatalogChanges } from '../utils/catalogChangeSets.js';
 import colors from 'colors';
 
 // @desc    Get all incentive items
 // @route   GET /api/incentive-items
-// @access  Private - Admin or users with /incentive-items in allowedPages
+// @access  Private - requires incentive-items:read
 export const getIncentiveItems = async (req, res) => {
   try {
-    const user = req.user;
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route.',
-      });
-    }
-
-    // Admins have access to all pages
-    const isAdmin = user.role && user.role.toLowerCase() === 'admin';
-    
-    // Check if user has access to incentive-items page
-    const allowedPages = user.allowedPages || [];
-    const hasPageAccess = allowedPages.includes('/incentive-items');
-    
-    if (!isAdmin && !hasPageAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You do not have permission to view incentive items.',
-        reason: 'You must be an administrator or have been granted access to incentive items.',
-      });
-    }
-    
     const { 
       Class, 
       Category, 
@@ -182,20 +159,9 @@ export const getIncentiveItems = async (req, res) => {
 
 // @desc    Get single incentive item
 // @route   GET /api/incentive-items/:id
-// @access  Private - Admin only
+// @access  Private - requires incentive-items:read
 export const getIncentiveItem = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can access incentive items
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can view incentive items.',
-        reason: 'You must be an administrator to access incentive items.',
-      });
-    }
-    
     const incentiveItem = await IncentiveItem.findById(req.params.id);
     
     if (!incentiveItem) {
@@ -221,20 +187,9 @@ export const getIncentiveItem = async (req, res) => {
 
 // @desc    Create new incentive item
 // @route   POST /api/incentive-items
-// @access  Private - Admin only
+// @access  Private - requires incentive-items:write
 export const createIncentiveItem = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can create incentive items
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can create incentive items.',
-        reason: 'You must be an administrator to create incentive items.',
-      });
-    }
-    
     // Calculate incentive value if not provided
     if (req.body.Price && req.body.IncentivePercentage && !req.body['incentive value']) {
       req.body['incentive value'] = req.body.Price * req.body.IncentivePercentage;
@@ -276,20 +231,9 @@ export const createIncentiveItem = async (req, res) => {
 
 // @desc    Update incentive item
 // @route   PUT /api/incentive-items/:id
-// @access  Private - Admin only
+// @access  Private - requires incentive-items:write
 export const updateIncentiveItem = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can update incentive items
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can update incentive items.',
-        reason: 'You must be an administrator to update incentive items.',
-      });
-    }
-    
     // Recalculate incentive value if Price or IncentivePercentage is updated
     if (req.body.Price || req.body.IncentivePercentage) {
       const existingItem = await IncentiveItem.findById(req.params.id);
@@ -355,20 +299,9 @@ export const updateIncentiveItem = async (req, res) => {
 
 // @desc    Delete incentive item
 // @route   DELETE /api/incentive-items/:id
-// @access  Private - Admin only
+// @access  Private - requires incentive-items:write
 export const deleteIncentiveItem = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can delete incentive items
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can delete incentive items.',
-        reason: 'You must be an administrator to delete incentive items.',
-      });
-    }
-    
     const incentiveItem = await IncentiveItem.findByIdAndDelete(req.params.id);
     
     if (!incentiveItem) {
@@ -395,20 +328,9 @@ export const deleteIncentiveItem = async (req, res) => {
 
 // @desc    Bulk create incentive items
 // @route   POST /api/incentive-items/bulk
-// @access  Private - Admin only
+// @access  Private - requires incentive-items:write
 export const bulkCreateIncentiveItems = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can bulk create incentive items
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can bulk create incentive items.',
-        reason: 'You must be an administrator to bulk create incentive items.',
-      });
-    }
-    
     const { items } = req.body;
     
     if (!Array.isArray(items) || items.length === 0) {
@@ -426,6 +348,17 @@ export const bulkCreateIncentiveItems = async (req, res) => {
       return item;
     });
     
+    // Preview the changes without writing; the result can be applied with the commit endpoint
+    if (req.query.dryRun === 'true') {
+      const preview = await previewCatalogChanges('incentive-items', processedItems, req);
+      
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        data: preview,
+      });
+    }
+    
     const incentiveItems = await IncentiveItem.insertMany(processedItems, {
       ordered: false,
     });
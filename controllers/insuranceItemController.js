@@ -1,35 +1,12 @@
 import InsuranceItem from '../models/InsuranceItem.js';
+import { previewCatalogChanges } from '../utils/catalogChangeSets.js';
 import colors from 'colors';
 
 // @desc    Get all insurance items
 // @route   GET /api/insurance-items
-// @access  Private - Admin or users with /insurance-items in allowedPages
+// @access  Private - requires insurance-items:read
 export const getInsuranceItems = async (req, res) => {
   try {
-    const user = req.user;
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route.',
-      });
-    }
-
-    // Admins have access to all pages
-    const isAdmin = user.role && user.role.toLowerCase() === 'admin';
-    
-    // Check if user has access to insurance-items page
-    const allowedPages = user.allowedPages || [];
-    const hasPageAccess = allowedPages.includes('/insurance-items');
-    
-    if (!isAdmin && !hasPageAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You do not have permission to view insurance items.',
-        reason: 'You must be an administrator or have been granted access to insurance items.',
-      });
-    }
-
     const {
       Category,
       search,
@@ -111,33 +88,9 @@ export const getInsuranceItems = async (req, res) => {
 
 // @desc    Get single insurance item
 // @route   GET /api/insurance-items/:id
-// @access  Private - Admin or users with /insurance-items in allowedPages
+// @access  Private - requires insurance-items:read
 export const getInsuranceItem = async (req, res) => {
   try {
-    const user = req.user;
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route.',
-      });
-    }
-
-    // Admins have access to all pages
-    const isAdmin = user.role && user.role.toLowerCase() === 'admin';
-    
-    // Check if user has access to insurance-items page
-    const allowedPages = user.allowedPages || [];
-    const hasPageAccess = allowedPages.includes('/insurance-items');
-    
-    if (!isAdmin && !hasPageAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You do not have permission to view insurance items.',
-        reason: 'You must be an administrator or have been granted access to insurance items.',
-      });
-    }
-    
     const insuranceItem = await InsuranceItem.findById(req.params.id);
 
     if (!insuranceItem) {
@@ -163,19 +116,9 @@ export const getInsuranceItem = async (req, res) => {
 
 // @desc    Create new insurance item
 // @route   POST /api/insurance-items
-// @access  Private - Admin only
+// @access  Private - requires insurance-items:write
 export const createInsuranceItem = async (req, res) => {
   try {
-    const user = req.user;
-
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can create insurance items.',
-        reason: 'You must be an administrator to create insurance items.',
-      });
-    }
-
     const insuranceItem = await InsuranceItem.create(req.body);
 
     res.status(201).json({
@@ -212,19 +155,9 @@ export const createInsuranceItem = async (req, res) => {
 
 // @desc    Update insurance item
 // @route   PUT /api/insurance-items/:id
-// @access  Private - Admin only
+// @access  Private - requires insurance-items:write
 export const updateInsuranceItem = async (req, res) => {
   try {
-    const user = req.user;
-
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can update insurance items.',
-        reason: 'You must be an administrator to update insurance items.',
-      });
-    }
-
     const insuranceItem = await InsuranceItem.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -275,19 +208,9 @@ export const updateInsuranceItem = async (req, res) => {
 
 // @desc    Delete insurance item
 // @route   DELETE /api/insurance-items/:id
-// @access  Private - Admin only
+// @access  Private - requires insurance-items:write
 export const deleteInsuranceItem = async (req, res) => {
   try {
-    const user = req.user;
-
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can delete insurance items.',
-        reason: 'You must be an administrator to delete insurance items.',
-      });
-    }
-
     const insuranceItem = await InsuranceItem.findByIdAndDelete(req.params.id);
 
     if (!insuranceItem) {
@@ -314,19 +237,9 @@ export const deleteInsuranceItem = async (req, res) => {
 
 // @desc    Bulk create insurance items
 // @route   POST /api/insurance-items/bulk
-// @access  Private - Admin only
+// @access  Private - requires insurance-items:write
 export const bulkCreateInsuranceItems = async (req, res) => {
   try {
-    const user = req.user;
-
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can bulk create insurance items.',
-        reason: 'You must be an administrator to bulk create insurance items.',
-      });
-    }
-
     const { items } = req.body;
 
     if (!Array.isArray(items) || items.length === 0) {
@@ -336,6 +249,17 @@ export const bulkCreateInsuranceItems = async (req, res) => {
       });
     }
 
+    // Preview the changes without writing; the result can be applied with the commit endpoint
+    if (req.query.dryRun === 'true') {
+      const preview = await previewCatalogChanges('insurance-items', items, req);
+
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        data: preview,
+      });
+    }
+
     const insuranceItems = await InsuranceItem.insertMany(items, {
       ordered: false,
     });
@@ -366,4 +290,3 @@ export const bulkCreateInsuranceItems = async (req, res) => {
     });
   }
 };
-
@@ -0,0 +1,177 @@
+import InvoiceTypeDefinition from '../models/InvoiceTypeDefinition.js';
+import { findUnmappedInvoiceTypes } from '../utils/invoiceTypes.js';
+import { sendSaveError } from '../utils/saveErrors.js';
+import colors from 'colors';
+
+// How sendSaveError words errors about invoice type definition documents
+const SAVE_ERRORS = {
+  entity: 'invoice type definition',
+  duplicate: {
+    message: 'Duplicate invoice type',
+    error: 'This invoice type already has a definition',
+  },
+};
+
+// @desc    Get all invoice type definitions
+// @route   GET /api/invoice-types
+// @access  Private - requires invoice-types:read
+export const getInvoiceTypeDefinitions = async (req, res) => {
+  try {
+    const { channel, sign } = req.query;
+
+    const query = {};
+    if (channel) {
+      query.channel = channel;
+    }
+    if (sign) {
+      query.sign = sign;
+    }
+
+    const definitions = await InvoiceTypeDefinition.find(query).sort({ channel: 1, sign: 1, invoiceType: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: definitions.length,
+      data: definitions,
+    });
+  } catch (error) {
+    console.error('Error fetching invoice type definitions:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invoice type definitions',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get invoice types found in header sales that have no definition
+//          Their sales are left out of every channel report until they are defined
+// @route   GET /api/invoice-types/unmapped
+// @access  Private - requires invoice-types:read
+export const getUnmappedInvoiceTypes = async (req, res) => {
+  try {
+    const unmapped = await findUnmappedInvoiceTypes();
+
+    res.status(200).json({
+      success: true,
+      count: unmapped.length,
+      data: unmapped,
+    });
+  } catch (error) {
+    console.error('Error fetching unmapped invoice types:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching unmapped invoice types',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single invoice type definition
+// @route   GET /api/invoice-types/:id
+// @access  Private - requires invoice-types:read
+export const getInvoiceTypeDefinition = async (req, res) => {
+  try {
+    const definition = await InvoiceTypeDefinition.findById(req.params.id);
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice type definition not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: definition,
+    });
+  } catch (error) {
+    console.error('Error fetching invoice type definition:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invoice type definition',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create new invoice type definition
+// @route   POST /api/invoice-types
+// @access  Private - requires invoice-types:write
+export const createInvoiceTypeDefinition = async (req, res) => {
+  try {
+    const { invoiceType, channel, sign, label } = req.body;
+
+    const definition = await InvoiceTypeDefinition.create({ invoiceType, channel, sign, label });
+
+    res.status(201).json({
+      success: true,
+      data: definition,
+    });
+  } catch (error) {
+    console.error('Error creating invoice type definition:'.red, error);
+    sendSaveError(res, error, 'creating', SAVE_ERRORS);
+  }
+};
+
+// @desc    Update invoice type definition
+// @route   PUT /api/invoice-types/:id
+// @access  Private - requires invoice-types:write
+export const updateInvoiceTypeDefinition = async (req, res) => {
+  try {
+    const definition = await InvoiceTypeDefinition.findById(req.params.id);
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice type definition not found',
+      });
+    }
+
+    const { invoiceType, channel, sign, label } = req.body;
+
+    if (invoiceType !== undefined) definition.invoiceType = invoiceType;
+    if (channel !== undefined) definition.channel = channel;
+    if (sign !== undefined) definition.sign = sign;
+    if (label !== undefined) definition.label = label;
+
+    await definition.save();
+
+    res.status(200).json({
+      success: true,
+      data: definition,
+    });
+  } catch (error) {
+    console.error('Error updating invoice type definition:'.red, error);
+    sendSaveError(res, error, 'updating', SAVE_ERRORS);
+  }
+};
+
+// @desc    Delete invoice type definition
+// @route   DELETE /api/invoice-types/:id
+// @access  Private - requires invoice-types:write
+export const deleteInvoiceTypeDefinition = async (req, res) => {
+  try {
+    const definition = await InvoiceTypeDefinition.findByIdAndDelete(req.params.id);
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice type definition not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice type definition deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting invoice type definition:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting invoice type definition',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,132 @@
+import LoginAttempt from '../models/LoginAttempt.js';
+import colors from 'colors';
+
+// @desc    Get login attempts
+// @route   GET /api/login-attempts
+// @access  Private - requires login-attempts:read
+export const getLoginAttempts = async (req, res) => {
+  try {
+    const {
+      username,
+      userId,
+      ipAddress,
+      success,
+      reason,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    // Build query object
+    const query = {};
+
+    if (username) {
+      query.username = username.toLowerCase();
+    }
+
+    if (userId) {
+      query.user = userId;
+    }
+
+    if (ipAddress) {
+      query.ipAddress = ipAddress;
+    }
+
+    if (success !== undefined) {
+      query.success = success === 'true';
+    }
+
+    if (reason) {
+      query.reason = reason;
+    }
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) {
+        query.createdAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        query.createdAt.$lte = new Date(endDate);
+      }
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const loginAttempts = await LoginAttempt.find(query)
+      .populate('user', 'username firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await LoginAttempt.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: loginAttempts.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: loginAttempts,
+    });
+  } catch (error) {
+    console.error('Error fetching login attempts:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching login attempts',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get suspicious login activity (most failures by IP and by username)
+// @route   GET /api/login-attempts/suspicious
+// @access  Private - requires login-attempts:read
+export const getSuspiciousLoginActivity = async (req, res) => {
+  try {
+    const { hours = 24, minFailures = 5 } = req.query;
+
+    const since = new Date(Date.now() - parseInt(hours) * 60 * 60 * 1000);
+    const minFailuresNum = parseInt(minFailures);
+
+    const groupFailures = (field) => LoginAttempt.aggregate([
+      { $match: { success: false, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: `$${field}`,
+          failures: { $sum: 1 },
+          usernames: { $addToSet: '$username' },
+          ipAddresses: { $addToSet: '$ipAddress' },
+          reasons: { $addToSet: '$reason' },
+          firstAttempt: { $min: '$createdAt' },
+          lastAttempt: { $max: '$createdAt' },
+        },
+      },
+      { $match: { failures: { $gte: minFailuresNum } } },
+      { $sort: { failures: -1 } },
+      { $limit: 50 },
+    ]);
+
+    const byIp = await groupFailures('ipAddress');
+    const byUsername = await groupFailures('username');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        since,
+        byIp: byIp.map(({ _id, usernames, ...rest }) => ({ ipAddress: _id, usernames, ...rest })),
+        byUsername: byUsername.map(({ _id, ipAddresses, ...rest }) => ({ username: _id, ipAddresses, ...rest })),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching suspicious login activity:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching suspicious login activity',
+      error: error.message,
+    });
+  }
+};
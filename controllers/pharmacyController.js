@@ -1,9 +1,10 @@
 import Pharmacy from '../models/Pharmacy.js';
+import { isScopedSupervisor } from '../config/permissions.js';
 import colors from 'colors';
 
 // @desc    Get all pharmacies
 // @route   GET /api/pharmacies
-// @access  Private
+// @access  Private - requires pharmacies:read
 export const getPharmacies = async (req, res) => {
   try {
     const { city, isActive, search } = req.query;
@@ -13,7 +14,7 @@ export const getPharmacies = async (req, res) => {
     const query = {};
     
     // If user is a pharmacy supervisor, only show pharmacies assigned to them
-    if (user && user.role && user.role.toLowerCase() === 'pharmacy supervisor') {
+    if (isScopedSupervisor(user)) {
       query.supervisor = user._id;
     }
     
@@ -30,8 +31,8 @@ export const getPharmacies = async (req, res) => {
     }
     
     const pharmacies = await Pharmacy.find(query)
-      .populate('pharmacists', 'firstName lastName email phone username role')
-      .populate('supervisor', 'firstName lastName email phone username role')
+      .populate('pharmacists', 'firstName lastName email phone username roles')
+      .populate('supervisor', 'firstName lastName email phone username roles')
       .sort({ createdAt: -1 });
     
     res.status(200).json({
@@ -51,13 +52,13 @@ export const getPharmacies = async (req, res) => {
 
 // @desc    Get single pharmacy
 // @route   GET /api/pharmacies/:id
-// @access  Private
+// @access  Private - requires pharmacies:read
 export const getPharmacy = async (req, res) => {
   try {
     const user = req.user;
     const pharmacy = await Pharmacy.findById(req.params.id)
-      .populate('pharmacists', 'firstName lastName email phone username role whatsapp address')
-      .populate('supervisor', 'firstName lastName email phone username role whatsapp address');
+      .populate('pharmacists', 'firstName lastName email phone username roles whatsapp address')
+      .populate('supervisor', 'firstName lastName email phone username roles whatsapp address');
     
     if (!pharmacy) {
       return res.status(404).json({
@@ -67,7 +68,7 @@ export const getPharmacy = async (req, res) => {
     }
     
     // If user is a pharmacy supervisor, check if they are the supervisor of this pharmacy
-    if (user && user.role && user.role.toLowerCase() === 'pharmacy supervisor') {
+    if (isScopedSupervisor(user)) {
       if (!pharmacy.supervisor || pharmacy.supervisor._id.toString() !== user._id.toString()) {
         return res.status(403).json({
           success: false,
@@ -93,23 +94,12 @@ export const getPharmacy = async (req, res) => {
 
 // @desc    Create new pharmacy
 // @route   POST /api/pharmacies
-// @access  Private
+// @access  Private - requires pharmacies:write
 export const createPharmacy = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can create pharmacy
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can create pharmacies.',
-        reason: 'You must be an administrator to create new pharmacies.',
-      });
-    }
-    
     const pharmacy = await Pharmacy.create(req.body);
-    await pharmacy.populate('pharmacists', 'firstName lastName email phone username role whatsapp address');
-    await pharmacy.populate('supervisor', 'firstName lastName email phone username role whatsapp address');
+    await pharmacy.populate('pharmacists', 'firstName lastName email phone username roles whatsapp address');
+    await pharmacy.populate('supervisor', 'firstName lastName email phone username roles whatsapp address');
     
     res.status(201).json({
       success: true,
@@ -137,12 +127,10 @@ export const createPharmacy = async (req, res) => {
 
 // @desc    Update pharmacy
 // @route   PUT /api/pharmacies/:id
-// @access  Private
+// @access  Private - requires pharmacies:write
 export const updatePharmacy = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // First, check if pharmacy exists and if user has permission
+    // First, check if pharmacy exists
     const existingPharmacy = await Pharmacy.findById(req.params.id);
     
     if (!existingPharmacy) {
@@ -152,15 +140,6 @@ export const updatePharmacy = async (req, res) => {
       });
     }
     
-    // Only admin can edit pharmacy
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can edit pharmacies.',
-        reason: 'You must be an administrator to edit pharmacy information.',
-      });
-    }
-    
     // Handle backward compatibility: if pharmacist (singular) is sent, convert to pharmacists array
     const updateData = { ...req.body };
     if (updateData.pharmacist !== undefined && updateData.pharmacists === undefined) {
@@ -177,8 +156,8 @@ export const updatePharmacy = async (req, res) => {
         runValidators: true,
       }
     )
-      .populate('pharmacists', 'firstName lastName email phone username role whatsapp address')
-      .populate('supervisor', 'firstName lastName email phone username role whatsapp address');
+      .populate('pharmacists', 'firstName lastName email phone username roles whatsapp address')
+      .populate('supervisor', 'firstName lastName email phone username roles whatsapp address');
     
     res.status(200).json({
       success: true,
@@ -206,20 +185,9 @@ export const updatePharmacy = async (req, res) => {
 
 // @desc    Delete pharmacy
 // @route   DELETE /api/pharmacies/:id
-// @access  Private
+// @access  Private - requires pharmacies:write
 export const deletePharmacy = async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Only admin can delete pharmacy
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can delete pharmacies.',
-        reason: 'You must be an administrator to delete pharmacies.',
-      });
-    }
-    
     // First, check if pharmacy exists
     const pharmacy = await Pharmacy.findById(req.params.id);
     
@@ -249,10 +217,9 @@ export const deletePharmacy = async (req, res) => {
 
 // @desc    Add pharmacist to pharmacy
 // @route   POST /api/pharmacies/:id/pharmacists
-// @access  Private
+// @access  Private - requires pharmacies:write
 export const addPharmacist = async (req, res) => {
   try {
-    const user = req.user;
     const { pharmacistId } = req.body;
     
     if (!pharmacistId) {
@@ -271,15 +238,6 @@ export const addPharmacist = async (req, res) => {
       });
     }
     
-    // Only admin can assign pharmacists
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can assign pharmacists.',
-        reason: 'You must be an administrator to assign pharmacists to pharmacies.',
-      });
-    }
-    
     // Initialize pharmacists array if it doesn't exist
     if (!pharmacy.pharmacists) {
       pharmacy.pharmacists = [];
@@ -301,8 +259,8 @@ export const addPharmacist = async (req, res) => {
     pharmacy.pharmacists.push(pharmacistId);
     await pharmacy.save();
     
-    await pharmacy.populate('pharmacists', 'firstName lastName email phone username role whatsapp address');
-    await pharmacy.populate('supervisor', 'firstName lastName email phone username role whatsapp address');
+    await pharmacy.populate('pharmacists', 'firstName lastName email phone username roles whatsapp address');
+    await pharmacy.populate('supervisor', 'firstName lastName email phone username roles whatsapp address');
     
     res.status(200).json({
       success: true,
@@ -321,10 +279,9 @@ export const addPharmacist = async (req, res) => {
 
 // @desc    Remove pharmacist from pharmacy
 // @route   DELETE /api/pharmacies/:id/pharmacists/:pharmacistId
-// @access  Private
+// @access  Private - requires pharmacies:write
 export const removePharmacist = async (req, res) => {
   try {
-    const user = req.user;
     const { pharmacistId } = req.params;
     
     const pharmacy = await Pharmacy.findById(req.params.id);
@@ -336,23 +293,14 @@ export const removePharmacist = async (req, res) => {
       });
     }
     
-    // Only admin can remove pharmacists
-    if (!user || !user.role || user.role.toLowerCase() !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can remove pharmacists.',
-        reason: 'You must be an administrator to remove pharmacists from pharmacies.',
-      });
-    }
-    
     // Remove pharmacist from array
     pharmacy.pharmacists = pharmacy.pharmacists.filter(
       id => id.toString() !== pharmacistId
     );
     await pharmacy.save();
     
-    await pharmacy.populate('pharmacists', 'firstName lastName email phone username role whatsapp address');
-    await pharmacy.populate('supervisor', 'firstName lastName email phone username role whatsapp address');
+    await pharmacy.populate('pharmacists', 'firstName lastName email phone username roles whatsapp address');
+    await pharmacy.populate('supervisor', 'firstName lastName email phone username roles whatsapp address');
     
     res.status(200).json({
       success: true,
@@ -0,0 +1,278 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { PERMISSIONS, WILDCARD_PERMISSION, getUngrantablePermissions } from '../config/permissions.js';
+import colors from 'colors';
+
+// Respond with 403 when the caller grants permissions they do not hold; returns true if it did
+const rejectUngrantable = (req, res, permissions) => {
+  const ungrantable = getUngrantablePermissions(req.user, permissions);
+  if (ungrantable.length === 0) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'You cannot grant permissions you do not hold.',
+    permissions: ungrantable,
+  });
+  return true;
+};
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private - requires roles:read
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+    
+    // Count users per role
+    const userCounts = await User.aggregate([
+      { $unwind: '$roles' },
+      { $group: { _id: '$roles', count: { $sum: 1 } } },
+    ]);
+    const countByRole = new Map(userCounts.map(item => [item._id.toString(), item.count]));
+    
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles.map(role => ({
+        ...role.toObject(),
+        userCount: countByRole.get(role._id.toString()) || 0,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching roles:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching roles',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get all available permissions
+// @route   GET /api/roles/permissions
+// @access  Private - requires roles:read
+export const getPermissions = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        wildcard: WILDCARD_PERMISSION,
+        permissions: Object.entries(PERMISSIONS).map(([key, permission]) => ({
+          key,
+          description: permission.description,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching permissions:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching permissions',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single role
+// @route   GET /api/roles/:id
+// @access  Private - requires roles:read
+export const getRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: role,
+    });
+  } catch (error) {
+    console.error('Error fetching role:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching role',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create new role
+// @route   POST /api/roles
+// @access  Private - requires roles:write
+export const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions, requireTwoFactor } = req.body;
+    
+    // A single permission string is cast to a one-item list, so check it the same way
+    if (permissions !== undefined && rejectUngrantable(req, res, [permissions].flat())) {
+      return;
+    }
+    
+    const role = await Role.create({ name, description, permissions, requireTwoFactor });
+    
+    res.status(201).json({
+      success: true,
+      data: role,
+    });
+  } catch (error) {
+    console.error('Error creating role:'.red, error);
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages,
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Duplicate role name',
+        error: 'A role with this name already exists',
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error creating role',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update role
+// @route   PUT /api/roles/:id
+// @access  Private - requires roles:write
+export const updateRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+    
+    const { name, description, permissions, requireTwoFactor } = req.body;
+    
+    // System roles are referenced by name in the code, so they cannot be renamed
+    if (role.isSystem && name !== undefined && name.toLowerCase().trim() !== role.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be renamed',
+      });
+    }
+    
+    if (permissions !== undefined) {
+      const requested = [permissions].flat();
+      
+      // The admin role must keep full access, or nobody could manage admins any more
+      if (role.isSystem && role.name === 'admin' && !requested.includes(WILDCARD_PERMISSION)) {
+        return res.status(400).json({
+          success: false,
+          message: `The admin role must keep the ${WILDCARD_PERMISSION} permission`,
+        });
+      }
+      
+      // Only permissions added to the role count as grants
+      const added = requested.filter(permission => !role.permissions.includes(permission));
+      if (rejectUngrantable(req, res, added)) {
+        return;
+      }
+    }
+    
+    if (name !== undefined) role.name = name;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    if (requireTwoFactor !== undefined) role.requireTwoFactor = requireTwoFactor;
+    
+    await role.save();
+    
+    res.status(200).json({
+      success: true,
+      data: role,
+    });
+  } catch (error) {
+    console.error('Error updating role:'.red, error);
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages,
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Duplicate role name',
+        error: 'A role with this name already exists',
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete role
+// @route   DELETE /api/roles/:id
+// @access  Private - requires roles:write
+export const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+    
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be deleted',
+      });
+    }
+    
+    const assignedUsers = await User.countDocuments({ roles: role._id });
+    
+    if (assignedUsers > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is assigned to ${assignedUsers} user(s). Remove it from them before deleting.`,
+      });
+    }
+    
+    await role.deleteOne();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting role:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting role',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,346 @@
+import SalesLine from '../models/SalesLine.js';
+import { applyStoreScope, isStoreAllowed } from '../utils/apiKeys.js';
+import { findLineTotalMismatches } from '../utils/salesLines.js';
+import { getInvoiceTypeDefinitions } from '../utils/invoiceTypes.js';
+import colors from 'colors';
+
+// Most mismatching invoices a consistency check lists
+const MAX_MISMATCH_LIMIT = 1000;
+
+// @desc    Get all sales lines
+// @route   GET /api/sales-lines
+// @access  Private - requires header-sales:read
+export const getSalesLines = async (req, res) => {
+  try {
+    const {
+      StoreCode,
+      InvoiceNumber,
+      InvoiceType,
+      SAP_Code,
+      Returned,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    // Build query object
+    const query = {};
+
+    if (StoreCode) {
+      query.StoreCode = parseInt(StoreCode);
+    }
+
+    if (InvoiceNumber) {
+      query.InvoiceNumber = InvoiceNumber;
+    }
+
+    if (InvoiceType) {
+      query.InvoiceType = InvoiceType;
+    }
+
+    if (SAP_Code) {
+      query.SAP_Code = parseInt(SAP_Code);
+    }
+
+    if (Returned !== undefined) {
+      query.Returned = Returned === 'true';
+    }
+
+    // API keys limited to some stores only see those stores
+    applyStoreScope(req, query);
+
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const salesLines = await SalesLine.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await SalesLine.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: salesLines.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: salesLines,
+    });
+  } catch (error) {
+    console.error('Error fetching sales lines:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sales lines',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Check that line totals add up to their invoice totals
+// @route   GET /api/sales-lines/consistency
+// @access  Private - requires header-sales:read
+export const getSalesLineConsistency = async (req, res) => {
+  try {
+    const { StoreCode, Year, Month, limit = 100 } = req.query;
+    const limitNum = parseInt(limit);
+
+    if (!(limitNum > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit must be a positive number',
+      });
+    }
+
+    // Build match query on the invoices to check
+    const matchQuery = {};
+    if (StoreCode) {
+      matchQuery.StoreCode = parseInt(StoreCode);
+    }
+    if (Year) {
+      matchQuery.Year = parseInt(Year);
+    }
+    if (Month) {
+      matchQuery.Month = Month;
+    }
+    applyStoreScope(req, matchQuery);
+
+    const definitions = await getInvoiceTypeDefinitions();
+    const result = await findLineTotalMismatches(matchQuery, definitions, {
+      limit: Math.min(limitNum, MAX_MISMATCH_LIMIT),
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error checking sales line consistency:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking sales line consistency',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single sales line
+// @route   GET /api/sales-lines/:id
+// @access  Private - requires header-sales:read
+export const getSalesLine = async (req, res) => {
+  try {
+    const salesLine = await SalesLine.findOne(applyStoreScope(req, { _id: req.params.id }));
+
+    if (!salesLine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sales line not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: salesLine,
+    });
+  } catch (error) {
+    console.error('Error fetching sales line:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sales line',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create new sales line
+// @route   POST /api/sales-lines
+// @access  Private - requires header-sales:write
+export const createSalesLine = async (req, res) => {
+  try {
+    if (!isStoreAllowed(req, req.body.StoreCode)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This API key cannot write sales for this store.',
+      });
+    }
+
+    const salesLine = await SalesLine.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: salesLine,
+    });
+  } catch (error) {
+    console.error('Error creating sales line:'.red, error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating sales line',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update sales line
+// @route   PUT /api/sales-lines/:id
+// @access  Private - requires header-sales:write
+export const updateSalesLine = async (req, res) => {
+  try {
+    if (req.body.StoreCode !== undefined && !isStoreAllowed(req, req.body.StoreCode)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This API key cannot write sales for this store.',
+      });
+    }
+
+    const salesLine = await SalesLine.findOne(applyStoreScope(req, { _id: req.params.id }));
+
+    if (!salesLine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sales line not found',
+      });
+    }
+
+    // Recalculate the line total from the new values unless one is given
+    const updates = { ...req.body };
+    const amountsChanged = ['Quantity', 'UnitPrice', 'Discount'].some(field => updates[field] !== undefined);
+    if (amountsChanged && updates.LineTotal === undefined) {
+      updates.LineTotal = undefined;
+    }
+
+    salesLine.set(updates);
+    await salesLine.save();
+
+    res.status(200).json({
+      success: true,
+      data: salesLine,
+    });
+  } catch (error) {
+    console.error('Error updating sales line:'.red, error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating sales line',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete sales line
+// @route   DELETE /api/sales-lines/:id
+// @access  Private - requires header-sales:write
+export const deleteSalesLine = async (req, res) => {
+  try {
+    const salesLine = await SalesLine.findOneAndDelete(applyStoreScope(req, { _id: req.params.id }));
+
+    if (!salesLine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sales line not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Sales line deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting sales line:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting sales line',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Bulk create sales lines
+// @route   POST /api/sales-lines/bulk
+// @access  Private - requires header-sales:write
+export const bulkCreateSalesLines = async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items array is required and must not be empty',
+      });
+    }
+
+    // Reject the whole batch if any item belongs to a store the API key may not write
+    const forbidden = items
+      .map((item, index) => ({ index, StoreCode: item?.StoreCode }))
+      .filter(item => !isStoreAllowed(req, item.StoreCode));
+
+    if (forbidden.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This API key cannot write sales for some of the stores.',
+        errors: forbidden.map(item => ({
+          index: item.index,
+          error: `Store ${item.StoreCode} is not allowed for this API key`,
+        })),
+      });
+    }
+
+    const salesLines = await SalesLine.insertMany(items, {
+      ordered: false,
+    });
+
+    res.status(201).json({
+      success: true,
+      count: salesLines.length,
+      data: salesLines,
+    });
+  } catch (error) {
+    console.error('Error bulk creating sales lines:'.red, error);
+
+    if (error.writeErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some items failed to create',
+        errors: error.writeErrors.map(err => ({
+          index: err.index,
+          error: err.errmsg,
+        })),
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error bulk creating sales lines',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,324 @@
+import SalesTarget, { TARGET_CHANNELS } from '../models/SalesTarget.js';
+import { upsertSalesTargets, getTargetAchievement } from '../utils/salesTargets.js';
+import { MONTHS } from '../utils/salesAggregation.js';
+import { getInvoiceTypeDefinitions } from '../utils/invoiceTypes.js';
+import { readSpreadsheet } from '../utils/spreadsheet.js';
+import { sendSaveError } from '../utils/saveErrors.js';
+import colors from 'colors';
+
+const PHARMACY_FIELDS = 'name branchCode address.city';
+
+// Columns of a target upload file, named like the target fields
+const TARGET_UPLOAD_COLUMNS = ['StoreCode', 'Year', 'Month', 'channel', 'amount'];
+
+// How sendSaveError words errors about sales target documents
+const SAVE_ERRORS = {
+  entity: 'sales target',
+  duplicate: {
+    message: 'Duplicate sales target',
+    error: 'A target for this store, month and channel already exists',
+  },
+};
+
+// @desc    Get all sales targets
+// @route   GET /api/sales-targets
+// @access  Private - requires sales-targets:read
+export const getSalesTargets = async (req, res) => {
+  try {
+    const { StoreCode, Year, Month, channel } = req.query;
+
+    const query = {};
+    if (StoreCode) {
+      query.StoreCode = parseInt(StoreCode);
+    }
+    if (Year) {
+      query.Year = parseInt(Year);
+    }
+    if (Month) {
+      query.Month = Month;
+    }
+    if (channel) {
+      query.channel = channel;
+    }
+
+    const targets = await SalesTarget.find(query)
+      .populate('pharmacy', PHARMACY_FIELDS)
+      .sort({ Year: -1, StoreCode: 1, channel: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: targets.length,
+      data: targets,
+    });
+  } catch (error) {
+    console.error('Error fetching sales targets:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sales targets',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the achievement of every target of a month against actual net sales
+//          Year and Month default to the current month; filters: StoreCode, channel
+// @route   GET /api/sales-targets/achievement
+// @access  Private - requires sales-targets:read
+export const getSalesTargetAchievement = async (req, res) => {
+  try {
+    const today = new Date();
+    const { StoreCode, channel } = req.query;
+    const Year = req.query.Year ? parseInt(req.query.Year) : today.getUTCFullYear();
+    const Month = req.query.Month || MONTHS[today.getUTCMonth()];
+
+    if (Number.isNaN(Year) || !MONTHS.includes(Month)) {
+      return res.status(400).json({
+        success: false,
+        message: `Year must be a number and Month one of: ${MONTHS.join(', ')}`,
+      });
+    }
+
+    const query = { Year, Month };
+    if (StoreCode) {
+      query.StoreCode = parseInt(StoreCode);
+    }
+    if (channel) {
+      query.channel = channel;
+    }
+
+    const targets = await SalesTarget.find(query)
+      .populate('pharmacy', PHARMACY_FIELDS)
+      .sort({ StoreCode: 1, channel: 1 })
+      .lean();
+    const definitions = await getInvoiceTypeDefinitions();
+
+    const achievement = await getTargetAchievement(targets, definitions, { Year, Month, today });
+
+    res.status(200).json({
+      success: true,
+      count: achievement.rows.length,
+      data: achievement,
+    });
+  } catch (error) {
+    console.error('Error fetching sales target achievement:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sales target achievement',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single sales target
+// @route   GET /api/sales-targets/:id
+// @access  Private - requires sales-targets:read
+export const getSalesTarget = async (req, res) => {
+  try {
+    const target = await SalesTarget.findById(req.params.id).populate('pharmacy', PHARMACY_FIELDS);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sales target not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: target,
+    });
+  } catch (error) {
+    console.error('Error fetching sales target:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sales target',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create new sales target
+// @route   POST /api/sales-targets
+// @access  Private - requires sales-targets:write
+export const createSalesTarget = async (req, res) => {
+  try {
+    const { StoreCode, pharmacy, Year, Month, channel, amount } = req.body;
+
+    const target = await SalesTarget.create({
+      StoreCode,
+      pharmacy,
+      Year,
+      Month,
+      channel,
+      amount,
+      createdBy: req.user?._id,
+    });
+    await target.populate('pharmacy', PHARMACY_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      data: target,
+    });
+  } catch (error) {
+    console.error('Error creating sales target:'.red, error);
+    sendSaveError(res, error, 'creating', SAVE_ERRORS);
+  }
+};
+
+// @desc    Update sales target
+// @route   PUT /api/sales-targets/:id
+// @access  Private - requires sales-targets:write
+export const updateSalesTarget = async (req, res) => {
+  try {
+    const target = await SalesTarget.findById(req.params.id);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sales target not found',
+      });
+    }
+
+    const { StoreCode, pharmacy, Year, Month, channel, amount } = req.body;
+
+    if (StoreCode !== undefined) target.StoreCode = StoreCode;
+    if (pharmacy !== undefined) target.pharmacy = pharmacy;
+    if (Year !== undefined) target.Year = Year;
+    if (Month !== undefined) target.Month = Month;
+    if (channel !== undefined) target.channel = channel;
+    if (amount !== undefined) target.amount = amount;
+
+    await target.save();
+    await target.populate('pharmacy', PHARMACY_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      data: target,
+    });
+  } catch (error) {
+    console.error('Error updating sales target:'.red, error);
+    sendSaveError(res, error, 'updating', SAVE_ERRORS);
+  }
+};
+
+// @desc    Delete sales target
+// @route   DELETE /api/sales-targets/:id
+// @access  Private - requires sales-targets:write
+export const deleteSalesTarget = async (req, res) => {
+  try {
+    const target = await SalesTarget.findByIdAndDelete(req.params.id);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sales target not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Sales target deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting sales target:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting sales target',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create or update many sales targets, keyed on StoreCode, Year, Month and channel
+// @route   POST /api/sales-targets/bulk
+// @access  Private - requires sales-targets:write
+export const bulkUpsertSalesTargets = async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items array is required and must not be empty',
+      });
+    }
+
+    const { summary, rows } = await upsertSalesTargets(items, req.user?._id);
+
+    res.status(200).json({
+      success: true,
+      summary,
+      data: rows,
+    });
+  } catch (error) {
+    console.error('Error bulk saving sales targets:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error bulk saving sales targets',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create or update sales targets from a CSV or Excel file
+//          Columns: StoreCode, Year, Month (name or number), channel (optional, default all), amount
+// @route   POST /api/sales-targets/import (multipart: file)
+// @access  Private - requires sales-targets:write
+export const importSalesTargetsFile = async (req, res) => {
+  try {
+    let spreadsheet;
+    try {
+      spreadsheet = readSpreadsheet(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file could not be read as CSV or Excel',
+        error: error.message,
+      });
+    }
+
+    const { headers, records } = spreadsheet;
+
+    const missing = TARGET_UPLOAD_COLUMNS
+      .filter(column => column !== 'channel' && !headers.includes(column));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing columns: ${missing.join(', ')}`,
+        expectedColumns: TARGET_UPLOAD_COLUMNS,
+        channels: TARGET_CHANNELS,
+      });
+    }
+
+    if (records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file has no rows',
+      });
+    }
+
+    // Only the target columns are read; an empty channel cell means all channels
+    const items = records.map(record => Object.fromEntries(
+      TARGET_UPLOAD_COLUMNS
+        .filter(column => record[column] !== undefined && record[column] !== '')
+        .map(column => [column, record[column]])
+    ));
+
+    const { summary, rows } = await upsertSalesTargets(items, req.user?._id);
+
+    res.status(200).json({
+      success: true,
+      summary,
+      // Row numbers as shown in the spreadsheet, after the header row
+      data: rows.map(row => ({ ...row, row: row.index + 2 })),
+    });
+  } catch (error) {
+    console.error('Error importing sales targets:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing sales targets',
+      error: error.message,
+    });
+  }
+};
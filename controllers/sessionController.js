@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { revokeSession, revokeUserSessions } from '../utils/sessions.js';
+import colors from 'colors';
+
+// Query for the sessions of a user that are still usable
+const activeSessionsQuery = (userId) => ({
+  user: userId,
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: new Date() },
+});
+
+// Shape a session for API responses, flagging the one making the request
+const formatSession = (session, currentSessionId) => ({
+  _id: session._id,
+  deviceName: session.deviceName,
+  ipAddress: session.ipAddress,
+  userAgent: session.userAgent,
+  lastSeenAt: session.lastSeenAt,
+  lastSeenIp: session.lastSeenIp,
+  createdAt: session.createdAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString(),
+});
+
+// @desc    Get current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.find(activeSessionsQuery(req.user._id))
+      .sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => formatSession(session, req.authSession._id)),
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeMySession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    const session = await Session.findOne({
+      ...activeSessionsQuery(req.user._id),
+      _id: req.params.id,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    await revokeSession(session._id, 'user');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error revoking session:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a user's active sessions
+// @route   GET /api/users/:id/sessions
+// @access  Private - requires users:write
+export const getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const sessions = await Session.find(activeSessionsQuery(user._id))
+      .sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => formatSession(session, req.authSession._id)),
+    });
+  } catch (error) {
+    console.error('Error fetching user sessions:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user sessions',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Force logout every session of a user
+// @route   DELETE /api/users/:id/sessions
+// @access  Private - requires users:write
+export const revokeAllUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const revoked = await revokeUserSessions(user._id, { reason: 'admin' });
+
+    res.status(200).json({
+      success: true,
+      message: 'All sessions of the user have been revoked',
+      data: { revoked },
+    });
+  } catch (error) {
+    console.error('Error revoking user sessions:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking user sessions',
+      error: error.message,
+    });
+  }
+};
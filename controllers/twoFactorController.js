@@ -0,0 +1,253 @@
+import User from '../models/User.js';
+import {
+  generateTwoFactorSecret,
+  buildOtpAuthUrl,
+  verifyTwoFactorCode,
+  generateBackupCodes,
+  consumeBackupCode,
+  isTwoFactorRequired,
+} from '../utils/twoFactor.js';
+import {
+  claimIpAttempt,
+  finishLoginAttempt,
+  discardLoginAttempt,
+  claimUserAttempt,
+  registerFailedLogin,
+  resetFailedLogins,
+  sendThrottled,
+} from '../utils/loginThrottle.js';
+import colors from 'colors';
+
+// @desc    Start 2FA enrollment - generate a secret for an authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private (allowed while 2FA setup is pending)
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    // Not active until a code from the app is verified
+    const secret = generateTwoFactorSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpAuthUrl(user, secret),
+      },
+    });
+  } catch (error) {
+    console.error('Error setting up 2FA:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Confirm 2FA enrollment with a code and get backup codes
+// @route   POST /api/auth/2fa/verify
+// @access  Private (allowed while 2FA setup is pending)
+export const verifyTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required',
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor setup has not been started',
+      });
+    }
+
+    if (!(await verifyTwoFactorCode(user, user.twoFactorPendingSecret, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorBackupCodes = hashes;
+    user.twoFactorEnabled = true;
+    await user.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the backup codes somewhere safe.',
+      data: {
+        backupCodes: codes,
+      },
+    });
+  } catch (error) {
+    console.error('Error verifying 2FA:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying two-factor authentication',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Disable 2FA (requires password and a current code or backup code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide password and verification code',
+      });
+    }
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled.',
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorBackupCodes');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    // Password and code guesses count towards the login throttle
+    const ipThrottle = await claimIpAttempt(req, { username: user.username, user });
+    const { attempt } = ipThrottle;
+    if (ipThrottle.blocked) {
+      await finishLoginAttempt(attempt, { success: false, reason: 'ip_blocked' });
+      return sendThrottled(res, ipThrottle, true);
+    }
+
+    const claim = await claimUserAttempt(user);
+    if (!claim.claimed) {
+      await finishLoginAttempt(attempt, { success: false, reason: claim.locked ? 'locked' : 'throttled' });
+      return sendThrottled(res, claim);
+    }
+
+    if (!(await user.matchPassword(password))) {
+      await finishLoginAttempt(attempt, { success: false, reason: 'invalid_credentials' });
+      await registerFailedLogin(user);
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect',
+      });
+    }
+
+    if (!(await verifyTwoFactorCode(user, user.twoFactorSecret, code)) && !consumeBackupCode(user, code)) {
+      await finishLoginAttempt(attempt, { success: false, reason: 'invalid_2fa_code' });
+      await registerFailedLogin(user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    await resetFailedLogins(user._id);
+    await discardLoginAttempt(attempt);
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorBackupCodes = [];
+    await user.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error disabling 2FA:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Replace backup codes (requires a current code)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required',
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorSecret');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!(await verifyTwoFactorCode(user, user.twoFactorSecret, code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactorBackupCodes = hashes;
+    await user.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        backupCodes: codes,
+      },
+    });
+  } catch (error) {
+    console.error('Error regenerating backup codes:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating backup codes',
+      error: error.message,
+    });
+  }
+};
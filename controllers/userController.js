@@ -1,18 +1,85 @@
+import crypto from 'crypto';
 import User from '../models/User.js';
+import Pharmacy from '../models/Pharmacy.js';
+import Role from '../models/Role.js';
+import { DEFAULT_ROLE, isScopedSupervisor, getUngrantablePermissions } from '../config/permissions.js';
+import { resetFailedLogins } from '../utils/loginThrottle.js';
+import { validatePassword } from '../utils/passwordPolicy.js';
+import { hashToken } from '../utils/tokens.js';
+import { revokeUserSessions } from '../utils/sessions.js';
+import { getPasswordResetConfig } from '../config/security.js';
 import colors from 'colors';
 
+// Fields that grant access; users can never change these on their own account
+const PRIVILEGED_FIELDS = ['roles', 'permissions', 'isActive'];
+
+// Fields managed by the server that can never be set through the API
+const SYSTEM_FIELDS = [
+  'passwordChangedAt',
+  'passwordResetTokenHash',
+  'passwordResetExpires',
+  'failedLoginAttempts',
+  'lastFailedLoginAt',
+  'lockUntil',
+  'twoFactorEnabled',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorBackupCodes',
+  'twoFactorLastStep',
+];
+
+const omitSystemFields = (body) => {
+  const data = { ...body };
+  SYSTEM_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+// Check that every role ID refers to an existing role
+const rolesExist = async (roleIds) => {
+  const ids = [...new Set(roleIds.map(id => id.toString()))];
+  const count = await Role.countDocuments({ _id: { $in: ids } });
+  return count === ids.length;
+};
+
+// Permissions the caller would grant through the given roles and direct permissions but does not hold
+const findUngrantable = async (grantor, { roleIds = [], permissions = [] }) => {
+  const roles = roleIds.length > 0
+    ? await Role.find({ _id: { $in: roleIds } }).select('permissions')
+    : [];
+
+  return getUngrantablePermissions(grantor, [
+    ...roles.flatMap(role => role.permissions),
+    ...permissions,
+  ]);
+};
+
+// Get the IDs of pharmacists assigned to the pharmacies a supervisor manages
+const getSupervisedPharmacistIds = async (supervisor) => {
+  const pharmacies = await Pharmacy.find({ supervisor: supervisor._id }).select('pharmacists');
+  return pharmacies.flatMap(pharmacy => pharmacy.pharmacists || []);
+};
+
 // @desc    Get all users
 // @route   GET /api/users
-// @access  Public
+// @access  Private/Admin - supervisors only see pharmacists in their pharmacies
 export const getUsers = async (req, res) => {
   try {
     const { role, isActive, search } = req.query;
+
+    // Repeated query parameters arrive as arrays
+    if ((role !== undefined && typeof role !== 'string') || (search !== undefined && typeof search !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'role and search must be single values',
+      });
+    }
     
     // Build query object
     const query = {};
     
     if (role) {
-      query.role = role;
+      const roleDoc = await Role.findOne({ name: role.toLowerCase() });
+      query.roles = roleDoc ? roleDoc._id : null;
     }
     
     if (isActive !== undefined) {
@@ -23,7 +90,14 @@ export const getUsers = async (req, res) => {
       query.$text = { $search: search };
     }
     
-    const users = await User.find(query).select('-password').sort({ createdAt: -1 });
+    if (isScopedSupervisor(req.user)) {
+      query._id = { $in: await getSupervisedPharmacistIds(req.user) };
+    }
+    
+    const users = await User.find(query)
+      .select('-password')
+      .populate('roles', 'name')
+      .sort({ createdAt: -1 });
     
     res.status(200).json({
       success: true,
@@ -42,10 +116,22 @@ export const getUsers = async (req, res) => {
 
 // @desc    Get single user
 // @route   GET /api/users/:id
-// @access  Public
+// @access  Private/Admin - supervisors only see pharmacists in their pharmacies
 export const getUser = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    const user = await User.findById(req.params.id)
+      .select('-password')
+      .populate('roles', 'name permissions');
+    
+    if (user && isScopedSupervisor(req.user)) {
+      const pharmacistIds = await getSupervisedPharmacistIds(req.user);
+      if (!pharmacistIds.some(id => id.toString() === user._id.toString())) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. This user is not a pharmacist in one of your pharmacies.',
+        });
+      }
+    }
     
     if (!user) {
       return res.status(404).json({
@@ -70,10 +156,49 @@ export const getUser = async (req, res) => {
 
 // @desc    Create new user
 // @route   POST /api/users
-// @access  Public
+// @access  Private/Admin
 export const createUser = async (req, res) => {
   try {
-    const user = await User.create(req.body);
+    const userData = omitSystemFields(req.body);
+    
+    const policyErrors = validatePassword(userData.password, userData);
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: policyErrors,
+      });
+    }
+    
+    // Admin-created accounts must choose their own password on first login
+    userData.mustChangePassword = true;
+    
+    const ungrantable = await findUngrantable(req.user, {
+      roleIds: Array.isArray(userData.roles) ? userData.roles : [],
+      permissions: userData.permissions === undefined ? [] : [userData.permissions].flat(),
+    });
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant permissions you do not hold.',
+        permissions: ungrantable,
+      });
+    }
+    
+    if (Array.isArray(userData.roles) && userData.roles.length > 0) {
+      if (!(await rolesExist(userData.roles))) {
+        return res.status(400).json({
+          success: false,
+          message: 'One or more roles do not exist',
+        });
+      }
+    } else {
+      // New accounts get the default role
+      const defaultRole = await Role.findOne({ name: DEFAULT_ROLE });
+      userData.roles = defaultRole ? [defaultRole._id] : [];
+    }
+    
+    const user = await User.create(userData);
     
     // Remove password from response
     const userResponse = user.toObject();
@@ -114,18 +239,29 @@ export const createUser = async (req, res) => {
 
 // @desc    Update user
 // @route   PUT /api/users/:id
-// @access  Public
+// @access  Private/Admin
 export const updateUser = async (req, res) => {
   try {
-    // If password is being updated, we might want to hash it (for now, just update as is)
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true,
+    // Prevent users from changing their own roles or permissions
+    if (req.params.id === req.user._id.toString()) {
+      const changedFields = PRIVILEGED_FIELDS.filter(field => req.body[field] !== undefined);
+      if (changedFields.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot change your own roles or permissions.',
+          fields: changedFields,
+        });
       }
-    ).select('-password');
+    }
+    
+    if (Array.isArray(req.body.roles) && !(await rolesExist(req.body.roles))) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more roles do not exist',
+      });
+    }
+    
+    const user = await User.findById(req.params.id);
     
     if (!user) {
       return res.status(404).json({
@@ -134,6 +270,51 @@ export const updateUser = async (req, res) => {
       });
     }
     
+    const updates = omitSystemFields(req.body);
+    
+    // Only roles and permissions the user does not have yet count as grants
+    const currentRoles = user.roles.map(id => id.toString());
+    const ungrantable = await findUngrantable(req.user, {
+      roleIds: updates.roles === undefined
+        ? []
+        : [updates.roles].flat().filter(id => !currentRoles.includes(String(id))),
+      permissions: updates.permissions === undefined
+        ? []
+        : [updates.permissions].flat().filter(permission => !user.permissions.includes(permission)),
+    });
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant permissions you do not hold.',
+        permissions: ungrantable,
+      });
+    }
+    
+    if (updates.password !== undefined) {
+      const policyErrors = validatePassword(updates.password, { username: updates.username || user.username });
+      if (policyErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password does not meet the password policy',
+          errors: policyErrors,
+        });
+      }
+      
+      // A password set by someone else must be replaced by its owner
+      if (user._id.toString() !== req.user._id.toString()) {
+        updates.mustChangePassword = true;
+      }
+    }
+    
+    // Save through the document so the model hook hashes a new password
+    user.set(updates);
+    await user.save({ validateModifiedOnly: true });
+    
+    if (updates.password !== undefined) {
+      await revokeUserSessions(user._id, { reason: 'password_change' });
+    }
+    await user.populate('roles', 'name');
+    
     res.status(200).json({
       success: true,
       data: user,
@@ -169,7 +350,7 @@ export const updateUser = async (req, res) => {
 
 // @desc    Delete user
 // @route   DELETE /api/users/:id
-// @access  Public
+// @access  Private/Admin
 export const deleteUser = async (req, res) => {
   try {
     const user = await User.findByIdAndDelete(req.params.id);
@@ -196,3 +377,111 @@ export const deleteUser = async (req, res) => {
   }
 };
 
+
+// @desc    Unlock a user account locked after failed logins
+// @route   POST /api/users/:id/unlock
+// @access  Private - requires users:write
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    await resetFailedLogins(user._id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'User account unlocked successfully',
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error unlocking user:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking user',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reset a user's two-factor authentication, e.g. after a lost device
+//          Every session of the user is revoked, so the next login sets up 2FA again where it is required
+// @route   POST /api/users/:id/two-factor/reset
+// @access  Private - requires users:write
+export const resetTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorBackupCodes = [];
+    await user.save({ validateModifiedOnly: true });
+    
+    const revoked = await revokeUserSessions(user._id, { reason: 'admin' });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset',
+      data: { revoked },
+    });
+  } catch (error) {
+    console.error('Error resetting 2FA:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting two-factor authentication',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Issue a one-time password reset token for a user
+// @route   POST /api/users/:id/password-reset
+// @access  Private - requires users:write
+export const createPasswordReset = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    // Only the hash is stored; the token is shown once for the admin to hand over
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + getPasswordResetConfig().expiresMinutes * 60 * 1000);
+    
+    user.passwordResetTokenHash = hashToken(token);
+    user.passwordResetExpires = expiresAt;
+    await user.save({ validateModifiedOnly: true });
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        token,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error('Error creating password reset:'.red, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating password reset',
+      error: error.message,
+    });
+  }
+};
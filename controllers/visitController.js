@@ -87,7 +87,7 @@ export const getVisits = async (req, res) => {
 
     // Execute query
     const visits = await Visit.find(query)
-      .populate('user', 'username firstName lastName email role')
+      .populate('user', 'username firstName lastName email roles')
       .sort(sort)
       .skip(skip)
       .limit(limitNum);
@@ -164,7 +164,7 @@ export const getVisitStats = async (req, res) => {
     const visitsByUserWithInfo = await Promise.all(
       visitsByUser.map(async (item) => {
         if (item._id) {
-          const user = await User.findById(item._id).select('username firstName lastName email role');
+          const user = await User.findById(item._id).select('username firstName lastName email roles');
           return {
             user,
             count: item.count,
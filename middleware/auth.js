@@ -1,9 +1,34 @@
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { verifyAccessToken } from '../utils/tokens.js';
+import { isTwoFactorRequired } from '../utils/twoFactor.js';
+import { isSessionActive, touchSession } from '../utils/sessions.js';
+import { isApiKeyFormat, findActiveApiKey, touchApiKey } from '../utils/apiKeys.js';
 import colors from 'colors';
 
-// @desc    Protect routes - verify user is authenticated
-// @access  Private
-export const protect = async (req, res, next) => {
+// Authenticate a machine integration by API key
+// Sets req.apiKey instead of req.user; requirePermission checks the key's scopes
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await findActiveApiKey(key);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked API key.',
+    });
+  }
+
+  await touchApiKey(apiKey, req);
+
+  req.apiKey = apiKey;
+  next();
+};
+
+// Build the authentication middleware
+// allowPending lets users with an outstanding account requirement (a forced
+// password change or required 2FA enrollment) through, so they can resolve it
+// allowApiKey accepts an API key (X-API-Key header or a `uni_` bearer token) instead of a user token
+const authenticate = ({ allowPending = false, allowApiKey = false } = {}) => async (req, res, next) => {
   try {
     let token;
 
@@ -12,6 +37,18 @@ export const protect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
 
+    const apiKey = req.headers['x-api-key'] || (isApiKeyFormat(token) ? token : undefined);
+
+    if (apiKey) {
+      if (!allowApiKey) {
+        return res.status(401).json({
+          success: false,
+          message: 'API keys are not accepted for this route. Please log in as a user.',
+        });
+      }
+      return authenticateApiKey(apiKey, req, res, next);
+    }
+
     // Check if token exists
     if (!token) {
       return res.status(401).json({
@@ -20,20 +57,36 @@ export const protect = async (req, res, next) => {
       });
     }
 
-    // Parse token to extract user ID
-    // Token format: token_${user._id}_${Date.now()}
-    const tokenParts = token.split('_');
-    if (tokenParts.length < 2 || tokenParts[0] !== 'token') {
+    // Verify token signature and expiry
+    let decoded;
+    try {
+      decoded = verifyAccessToken(token);
+    } catch (err) {
+      if (!['JsonWebTokenError', 'TokenExpiredError', 'NotBeforeError'].includes(err.name)) {
+        throw err;
+      }
       return res.status(401).json({
         success: false,
-        message: 'Invalid token format.',
+        message: err.name === 'TokenExpiredError'
+          ? 'Token has expired. Please refresh your token or log in again.'
+          : 'Invalid token.',
       });
     }
 
-    const userId = tokenParts[1];
+    // The session behind the token must still be active (not logged out or revoked)
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+    if (!isSessionActive(session) || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please log in again.',
+      });
+    }
 
     // Find user by ID
-    const user = await User.findById(userId).select('-password');
+    const user = await User.findById(decoded.id)
+      .select('-password')
+      .populate('roles', 'name permissions requireTwoFactor');
 
     if (!user) {
       return res.status(401).json({
@@ -50,11 +103,29 @@ export const protect = async (req, res, next) => {
       });
     }
 
-    // Verify user is authenticated (any valid role can access)
-    // All authenticated users with valid roles can access pharmacies and detailed sales
+    // Block everything else until a required password change is done
+    if (!allowPending && user.mustChangePassword) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must change your password before continuing.',
+        code: 'PASSWORD_CHANGE_REQUIRED',
+      });
+    }
+
+    // Block everything else until required 2FA enrollment is done
+    if (!allowPending && !user.twoFactorEnabled && isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your role requires two-factor authentication. Please set it up before continuing.',
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+      });
+    }
 
-    // Attach user to request object
+    await touchSession(session, req);
+
+    // Attach user and session to request object
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     console.error('Error in protect middleware:'.red, error);
@@ -66,3 +137,15 @@ export const protect = async (req, res, next) => {
   }
 };
 
+
+// @desc    Protect routes - verify user or API key is authenticated
+// @access  Private
+export const protect = authenticate({ allowApiKey: true });
+
+// @desc    Protect routes that only make sense for a logged-in user (profile, sessions, 2FA)
+// @access  Private
+export const protectUser = authenticate();
+
+// @desc    Protect routes that must stay reachable while a password change or 2FA setup is pending
+// @access  Private
+export const protectAllowPending = authenticate({ allowPending: true });
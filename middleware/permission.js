@@ -0,0 +1,103 @@
+import User from '../models/User.js';
+import {
+  PERMISSIONS,
+  WILDCARD_PERMISSION,
+  getEffectivePermissions,
+  hasWildcardPermission,
+  getUngrantablePermissions,
+} from '../config/permissions.js';
+import colors from 'colors';
+
+/**
+ * Middleware to require one or more permissions
+ * Should be used after protect middleware
+ * Usage: router.get('/', requirePermission('header-sales:read'), handler)
+ */
+export const requirePermission = (...permissions) => {
+  // Catch typos when routes are defined rather than on every request
+  permissions.forEach(permission => {
+    if (!PERMISSIONS[permission]) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+  });
+
+  return (req, res, next) => {
+    try {
+      if (!req.user && !req.apiKey) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized to access this route',
+        });
+      }
+
+      // API keys only hold the scopes they were created with
+      const granted = req.apiKey ? req.apiKey.scopes : getEffectivePermissions(req.user);
+      const missing = permissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You do not have permission to perform this action.',
+          reason: `Missing permission: ${missing.join(', ')}`,
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error in permission middleware:'.red, error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error checking permissions',
+        error: error.message,
+      });
+    }
+  };
+};
+
+/**
+ * Middleware to stop callers from acting on an account that holds permissions they do not
+ * Setting a password, resetting 2FA, unlocking or deleting such an account would hand its permissions over
+ * Should be used after requirePermission on routes taking the target user's id as :id
+ */
+export const requireManageableUser = async (req, res, next) => {
+  try {
+    const target = await User.findById(req.params.id).populate('roles', 'permissions');
+
+    // Unknown users are reported by the route handler
+    if (!target) {
+      return next();
+    }
+
+    const targetPermissions = [
+      ...getEffectivePermissions(target),
+      ...(hasWildcardPermission(target) ? [WILDCARD_PERMISSION] : []),
+    ];
+    const ungrantable = getUngrantablePermissions(req.user, targetPermissions);
+
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot manage a user who holds permissions you do not hold.',
+        permissions: ungrantable,
+      });
+    }
+
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id',
+      });
+    }
+
+    console.error('Error in permission middleware:'.red, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking permissions',
+      error: error.message,
+    });
+  }
+};
+
+export default requirePermission;
@@ -0,0 +1,54 @@
+import multer from 'multer';
+import { isSpreadsheetFile, SPREADSHEET_EXTENSIONS } from '../utils/spreadsheet.js';
+import colors from 'colors';
+
+const MAX_IMPORT_FILE_SIZE_MB = 50;
+
+// Files are kept in memory; background imports copy them to disk until their job runs
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!isSpreadsheetFile(file.originalname)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  },
+}).single('file');
+
+/**
+ * Middleware to accept a single CSV or Excel file in the `file` multipart field
+ * The file is available as req.file with its contents in req.file.buffer
+ */
+export const uploadSpreadsheet = (req, res, next) => {
+  spreadsheetUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? `File is too large. The maximum size is ${MAX_IMPORT_FILE_SIZE_MB} MB.`
+          : `Please upload a single ${SPREADSHEET_EXTENSIONS.join(', ')} file in the "file" field.`,
+      });
+    }
+
+    if (err) {
+      console.error('Error in upload middleware:'.red, err);
+      return res.status(500).json({
+        success: false,
+        message: 'Error uploading file',
+        error: err.message,
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file is required',
+      });
+    }
+
+    next();
+  });
+};
+
+export default uploadSpreadsheet;
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import colors from 'colors';
+import HeaderSales from '../models/HeaderSales.js';
+import connectDB from '../config/db.js';
+
+// Load environment variables
+dotenv.config();
+
+// Removes duplicate invoices (same StoreCode, InvoiceNumber and InvoiceType) left by
+// re-sent imports, keeping the first one stored, then builds the unique index.
+// Run with --dry-run to only report the duplicates.
+const dedupeHeaderSales = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  
+  try {
+    // Connect to database
+    await connectDB();
+    
+    console.log(`Starting header sales dedupe${dryRun ? ' (dry run)' : ''}...`.cyan.bold);
+    
+    const duplicateGroups = HeaderSales.aggregate([
+      {
+        $group: {
+          _id: {
+            StoreCode: '$StoreCode',
+            InvoiceNumber: '$InvoiceNumber',
+            InvoiceType: '$InvoiceType',
+          },
+          ids: { $push: '$_id' },
+          count: { $sum: 1 },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+    ]).allowDiskUse(true).cursor();
+    
+    let groupCount = 0;
+    let removedCount = 0;
+    
+    for await (const group of duplicateGroups) {
+      // ObjectIds grow over time, so the smallest is the first invoice stored
+      const [keep, ...duplicates] = group.ids.sort((a, b) => a.toString().localeCompare(b.toString()));
+      
+      if (!dryRun) {
+        await HeaderSales.deleteMany({ _id: { $in: duplicates } });
+      }
+      
+      groupCount++;
+      removedCount += duplicates.length;
+      const { StoreCode, InvoiceNumber, InvoiceType } = group._id;
+      console.log(`Store ${StoreCode} invoice ${InvoiceNumber} (${InvoiceType}): kept ${keep}, ${dryRun ? 'would remove' : 'removed'} ${duplicates.length}`.green);
+    }
+    
+    console.log(`\nDedupe completed!`.cyan.bold);
+    console.log(`Duplicated invoices: ${groupCount}`.green);
+    console.log(`Duplicates ${dryRun ? 'to remove' : 'removed'}: ${removedCount}`.green);
+    
+    if (!dryRun) {
+      // The unique index can only be built once the duplicates are gone
+      // Only this index is built: the schema declares several text indexes and a collection can have just one
+      await HeaderSales.collection.createIndex(
+        { StoreCode: 1, InvoiceNumber: 1, InvoiceType: 1 },
+        { unique: true }
+      );
+      console.log('Unique invoice index ready'.green);
+    }
+    
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed'.cyan);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error deduplicating header sales:'.red.bold, error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run migration
+dedupeHeaderSales();
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import colors from 'colors';
+import connectDB from '../config/db.js';
+import { defineMissingInvoiceTypes } from '../utils/invoiceTypes.js';
+
+// Load environment variables
+dotenv.config();
+
+// Creates an invoice type definition for every invoice type the reports used to
+// hardcode or that is found in header sales, guessing channel and sign from the name
+// the way the old reports did. Existing definitions are left untouched, so it is
+// safe to run again after new invoice types appear; the channel reports list the
+// invoice types that still need a definition. Deleted definitions come back, so only
+// run it when that is wanted.
+const migrateInvoiceTypeDefinitions = async () => {
+  try {
+    // Connect to database
+    await connectDB();
+    
+    console.log('Starting invoice type definitions migration...'.cyan.bold);
+    
+    const { created, total } = await defineMissingInvoiceTypes();
+    created.forEach(({ invoiceType, channel, sign }) => {
+      console.log(`Defined: ${invoiceType} -> ${channel} (${sign})`.green);
+    });
+    
+    console.log(`\nMigration completed!`.cyan.bold);
+    console.log(`Definitions created: ${created.length}`.green);
+    console.log(`Already defined: ${total - created.length}`.green);
+    console.log('Review the guessed definitions with GET /api/invoice-types'.yellow);
+    
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed'.cyan);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating invoice type definitions:'.red.bold, error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run migration
+migrateInvoiceTypeDefinitions();
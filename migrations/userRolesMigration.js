@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import colors from 'colors';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import connectDB from '../config/db.js';
+import { SYSTEM_ROLES, DEFAULT_ROLE, pagesToPermissions } from '../config/permissions.js';
+
+// Load environment variables
+dotenv.config();
+
+// Converts the legacy `role` string and `allowedPages` array on each user
+// into role references and permission strings. Safe to run more than once.
+const migrateUserRoles = async () => {
+  try {
+    // Connect to database
+    await connectDB();
+    
+    console.log('Starting user roles migration...'.cyan.bold);
+    
+    // Create or update the system roles
+    const rolesByName = new Map();
+    for (const [name, definition] of Object.entries(SYSTEM_ROLES)) {
+      const role = await Role.findOneAndUpdate(
+        { name },
+        {
+          $set: { isSystem: true },
+          $setOnInsert: {
+            name,
+            description: definition.description,
+            permissions: definition.permissions,
+          },
+        },
+        { upsert: true, new: true }
+      );
+      rolesByName.set(name, role);
+      console.log(`System role ready: ${name}`.green);
+    }
+    
+    // Read users straight from the collection, the legacy fields are no longer in the schema
+    const legacyUsers = await User.collection.find({
+      $or: [{ role: { $exists: true } }, { allowedPages: { $exists: true } }],
+    }).toArray();
+    
+    let migratedCount = 0;
+    const unknownRoles = [];
+    
+    for (const legacyUser of legacyUsers) {
+      const legacyRole = (legacyUser.role || DEFAULT_ROLE).toLowerCase();
+      let role = rolesByName.get(legacyRole);
+      
+      if (!role) {
+        unknownRoles.push({ username: legacyUser.username, role: legacyUser.role });
+        role = rolesByName.get(DEFAULT_ROLE);
+      }
+      
+      // Only keep page permissions the role does not already grant
+      const pagePermissions = pagesToPermissions(legacyUser.allowedPages || [])
+        .filter(permission => !role.permissions.includes(permission));
+      
+      await User.collection.updateOne(
+        { _id: legacyUser._id },
+        {
+          $addToSet: {
+            roles: role._id,
+            permissions: { $each: pagePermissions },
+          },
+          $unset: { role: '', allowedPages: '' },
+        }
+      );
+      
+      migratedCount++;
+      console.log(`Migrated: ${legacyUser.username} -> ${role.name} [${pagePermissions.join(', ')}]`.green);
+    }
+    
+    console.log(`\nMigration completed!`.cyan.bold);
+    console.log(`Users migrated: ${migratedCount}`.green);
+    
+    if (unknownRoles.length > 0) {
+      console.log(`Users with unknown roles (assigned '${DEFAULT_ROLE}'): ${unknownRoles.length}`.yellow);
+      unknownRoles.forEach(item => {
+        console.log(`- ${item.username} (${item.role})`.yellow);
+      });
+    }
+    
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed'.cyan);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating user roles:'.red.bold, error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run migration
+migrateUserRoles();
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { isValidApiKeyScope } from '../config/permissions.js';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+  },
+  // First characters of the key, shown to admins so they can tell keys apart
+  prefix: {
+    type: String,
+    required: true,
+  },
+  // SHA-256 hash of the key; the raw key is only shown once, when it is created
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  scopes: {
+    type: [String],
+    validate: [
+      {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required',
+      },
+      {
+        validator: (scopes) => scopes.every(isValidApiKeyScope),
+        message: (props) => `Scope not allowed for API keys in: ${props.value.join(', ')}`,
+      },
+    ],
+  },
+  // Store codes the key may read or write header sales for; empty means every store
+  storeCodes: {
+    type: [Number],
+    default: [],
+  },
+  expiresAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+apiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  },
+});
+
+// Index for faster queries
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+// Note: keyHash index is automatically created by unique: true
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Links a free-text HeaderSales.UserName to the User account of the cashier/pharmacist
+const cashierAliasSchema = new mongoose.Schema({
+  // UserName exactly as stored on HeaderSales
+  userName: {
+    type: String,
+    required: [true, 'User name is required'],
+    trim: true,
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for faster queries
+cashierAliasSchema.index({ user: 1 });
+// Note: userName index is automatically created by unique: true
+
+const CashierAlias = mongoose.model('CashierAlias', cashierAliasSchema);
+
+export default CashierAlias;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// Change set produced by a dry-run bulk import of a catalog, applied later by the commit endpoint
+const catalogChangeSetSchema = new mongoose.Schema({
+  catalog: {
+    type: String,
+    required: true,
+    enum: ['incentive-items', 'contests', 'insurance-items', 'baby-joy'],
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'applied', 'failed'],
+    default: 'pending',
+  },
+  // The additions and updates themselves are CatalogChangeSetItem documents
+  additionCount: {
+    type: Number,
+    default: 0,
+  },
+  updateCount: {
+    type: Number,
+    default: 0,
+  },
+  unchangedCount: {
+    type: Number,
+    default: 0,
+  },
+  invalidCount: {
+    type: Number,
+    default: 0,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  appliedAt: {
+    type: Date,
+  },
+  // Set when writing a claimed change set stopped part way; operations run additions first, then updates
+  // appliedCount is null when the database did not report how far the write got
+  failure: {
+    appliedCount: Number,
+    failedKey: mongoose.Schema.Types.Mixed,
+    error: String,
+  },
+  // Previews go stale as the catalog changes, so unapplied ones are removed after a day
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000),
+  },
+}, {
+  timestamps: true,
+});
+
+// Expired change sets are removed automatically by MongoDB
+catalogChangeSetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CatalogChangeSet = mongoose.model('CatalogChangeSet', catalogChangeSetSchema);
+
+export default CatalogChangeSet;
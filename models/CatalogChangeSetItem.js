@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// An addition or update of a catalog change set, kept apart so large imports stay below the document size limit
+const catalogChangeSetItemSchema = new mongoose.Schema({
+  changeSet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CatalogChangeSet',
+    required: true,
+  },
+  // Order the items are applied in: additions first, then updates
+  index: {
+    type: Number,
+    required: true,
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['addition', 'update'],
+  },
+  // The item to insert, already cast by the catalog's schema,
+  // or the existing item to update: { id, key, changes: { field: { before, after } } }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // Removed with their change set; unset once it is applied
+  expiresAt: {
+    type: Date,
+  },
+});
+
+// Index for faster queries
+catalogChangeSetItemSchema.index({ changeSet: 1, index: 1 });
+// Expired items are removed automatically by MongoDB
+catalogChangeSetItemSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CatalogChangeSetItem = mongoose.model('CatalogChangeSetItem', catalogChangeSetItemSchema);
+
+export default CatalogChangeSetItem;
@@ -61,6 +61,9 @@ const headerSalesSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+// An invoice is identified by its store, number and type; imports upsert on this key
+headerSalesSchema.index({ StoreCode: 1, InvoiceNumber: 1, InvoiceType: 1 }, { unique: true });
+
 // Index for faster search
 headerSalesSchema.index({ StoreCode: 1 });
 headerSalesSchema.index({ InvoiceNumber: 1 });
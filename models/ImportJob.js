@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const importJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['header-sales'],
+    default: 'header-sales',
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+  },
+  fileName: {
+    type: String,
+    trim: true,
+  },
+  mapping: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportMapping',
+  },
+  // File headers, used as the columns of the error rows download
+  headers: {
+    type: [String],
+    default: [],
+  },
+  // Counted when the job starts reading the file
+  totalRows: {
+    type: Number,
+    default: 0,
+  },
+  processedRows: {
+    type: Number,
+    default: 0,
+  },
+  summary: {
+    inserted: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    // Rows that could not be parsed or validated
+    invalid: { type: Number, default: 0 },
+    // Valid rows the database rejected
+    failed: { type: Number, default: 0 },
+  },
+  // Store codes the submitter may write; empty means every store
+  storeCodes: {
+    type: [Number],
+    default: [],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+  },
+  startedAt: {
+    type: Date,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  cancelRequestedAt: {
+    type: Date,
+  },
+  // Server process the job runs in, and when that process last reported it alive
+  instance: {
+    type: String,
+  },
+  heartbeatAt: {
+    type: Date,
+  },
+  // Why the job failed as a whole
+  errorMessage: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for faster queries
+importJobSchema.index({ status: 1 });
+importJobSchema.index({ createdAt: -1 });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+export default ImportJob;
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// A row of an import job that was not imported, kept so it can be downloaded and fixed
+const importJobErrorSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    required: true,
+  },
+  // Spreadsheet row number (the header is row 1)
+  row: {
+    type: Number,
+    required: true,
+  },
+  messages: {
+    type: [String],
+    default: [],
+  },
+  // The row as it appeared in the file
+  values: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for faster queries
+importJobErrorSchema.index({ job: 1, row: 1 });
+
+const ImportJobError = mongoose.model('ImportJobError', importJobErrorSchema);
+
+export default ImportJobError;
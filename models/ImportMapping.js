@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// HeaderSales fields a file column can be mapped to
+export const HEADER_SALES_IMPORT_FIELDS = [
+  'StoreCode',
+  'InvoiceNumber',
+  'Year',
+  'Month',
+  'Date',
+  'Time',
+  'InvoiceType',
+  'CustomerName',
+  'ConsumerName',
+  'UserName',
+  'TotalAmountAfterDiscount',
+];
+
+const columnSchema = new mongoose.Schema({
+  // Column header as it appears in the export, e.g. "رقم الفاتورة"
+  header: {
+    type: String,
+    required: [true, 'Column header is required'],
+    trim: true,
+  },
+  field: {
+    type: String,
+    required: [true, 'Field is required'],
+    enum: {
+      values: HEADER_SALES_IMPORT_FIELDS,
+      message: 'Unknown header sales field: {VALUE}',
+    },
+  },
+}, { _id: false });
+
+const importMappingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Mapping name is required'],
+    trim: true,
+    unique: true,
+  },
+  columns: {
+    type: [columnSchema],
+    validate: {
+      validator: (columns) => columns.length > 0,
+      message: 'At least one column is required',
+    },
+  },
+  // Order of day, month and year in text dates such as 05/01/2024
+  dateFormat: {
+    type: String,
+    enum: ['DMY', 'MDY', 'YMD'],
+    default: 'DMY',
+  },
+  // Used when an upload does not name a mapping
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Only one mapping can be the default
+importMappingSchema.pre('save', async function () {
+  if (this.isDefault && this.isModified('isDefault')) {
+    await this.constructor.updateMany(
+      { _id: { $ne: this._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+});
+
+// Note: name index is automatically created by unique: true
+
+const ImportMapping = mongoose.model('ImportMapping', importMappingSchema);
+
+export default ImportMapping;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+export const SALES_CHANNELS = ['cash', 'insurance', 'wasfaty', 'online'];
+
+// Maps a raw POS InvoiceType to the channel it is reported under and whether it is a sale or a return
+const invoiceTypeDefinitionSchema = new mongoose.Schema({
+  // InvoiceType exactly as stored on HeaderSales, e.g. "ReturnCashCustomer"
+  invoiceType: {
+    type: String,
+    required: [true, 'Invoice type is required'],
+    trim: true,
+    unique: true,
+  },
+  channel: {
+    type: String,
+    required: [true, 'Channel is required'],
+    enum: {
+      values: SALES_CHANNELS,
+      message: 'Channel must be one of: ' + SALES_CHANNELS.join(', '),
+    },
+  },
+  sign: {
+    type: String,
+    required: [true, 'Sign is required'],
+    enum: {
+      values: ['sale', 'return'],
+      message: 'Sign must be either sale or return',
+    },
+  },
+  label: {
+    type: String,
+    trim: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for faster queries
+invoiceTypeDefinitionSchema.index({ channel: 1, sign: 1 });
+// Note: invoiceType index is automatically created by unique: true
+
+const InvoiceTypeDefinition = mongoose.model('InvoiceTypeDefinition', invoiceTypeDefinitionSchema);
+
+export default InvoiceTypeDefinition;
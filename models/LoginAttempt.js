@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Login attempts are kept this long for auditing, then removed by MongoDB
+const RETENTION_DAYS = 90;
+
+const loginAttemptSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  ipAddress: {
+    type: String,
+    trim: true,
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+  },
+  success: {
+    type: Boolean,
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: [
+      'pending',
+      'success',
+      'invalid_credentials',
+      'invalid_2fa_code',
+      'unknown_user',
+      'inactive',
+      'locked',
+      'throttled',
+      'ip_blocked',
+    ],
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for faster queries
+loginAttemptSchema.index({ ipAddress: 1, reason: 1, createdAt: -1 });
+loginAttemptSchema.index({ username: 1, createdAt: -1 });
+// Also expires attempts older than RETENTION_DAYS
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export default LoginAttempt;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import { isValidPermission } from '../config/permissions.js';
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    unique: true,
+    lowercase: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every(isValidPermission),
+      message: (props) => `Unknown permission in: ${props.value.join(', ')}`,
+    },
+  },
+  // Users with this role must enroll in two-factor authentication
+  requireTwoFactor: {
+    type: Boolean,
+    default: false,
+  },
+  // System roles are created by the roles migration and cannot be renamed or deleted
+  isSystem: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+// Note: name index is automatically created by unique: true
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const salesLineSchema = new mongoose.Schema({
+  // Links the line to its HeaderSales invoice together with StoreCode
+  InvoiceNumber: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    trim: true,
+  },
+  StoreCode: {
+    type: Number,
+    required: [true, 'Store code is required'],
+  },
+  // A sale and its return can share an invoice number, so the invoice type completes the link
+  InvoiceType: {
+    type: String,
+    required: [true, 'Invoice type is required'],
+    trim: true,
+  },
+  SAP_Code: {
+    type: Number,
+    required: [true, 'SAP Code is required'],
+  },
+  Quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity must be a positive number'],
+  },
+  UnitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price must be a positive number'],
+  },
+  // Discount amount for the whole line
+  Discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount must be a positive number'],
+  },
+  // Calculated as Quantity * UnitPrice - Discount when not provided
+  LineTotal: {
+    type: Number,
+    min: [0, 'Line total must be a positive number'],
+  },
+  // Returned item; it counts against a sale invoice's total and towards a return invoice's total
+  Returned: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+salesLineSchema.pre('validate', function () {
+  if (this.LineTotal === undefined || this.LineTotal === null) {
+    const total = (this.Quantity || 0) * (this.UnitPrice || 0) - (this.Discount || 0);
+    this.LineTotal = Math.round(total * 100) / 100;
+  }
+});
+
+// Index for faster search
+salesLineSchema.index({ StoreCode: 1, InvoiceNumber: 1, InvoiceType: 1 });
+salesLineSchema.index({ SAP_Code: 1 });
+salesLineSchema.index({ createdAt: -1 });
+
+const SalesLine = mongoose.model('SalesLine', salesLineSchema);
+
+export default SalesLine;
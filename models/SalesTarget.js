@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import Pharmacy from './Pharmacy.js';
+import { SALES_CHANNELS } from './InvoiceTypeDefinition.js';
+import { MONTHS } from '../utils/salesAggregation.js';
+
+// Channels a target can be set for; "all" covers every invoice of the branch
+export const TARGET_CHANNELS = ['all', ...SALES_CHANNELS];
+
+// Monthly net sales target of a branch, for all sales or for one channel
+const salesTargetSchema = new mongoose.Schema({
+  // Matches HeaderSales.StoreCode and Pharmacy.branchCode
+  StoreCode: {
+    type: Number,
+  },
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+  },
+  Year: {
+    type: Number,
+    required: [true, 'Year is required'],
+    min: [2000, 'Year must be valid'],
+    max: [2100, 'Year must be valid'],
+  },
+  Month: {
+    type: String,
+    required: [true, 'Month is required'],
+    trim: true,
+    enum: MONTHS,
+    // Spreadsheets often give the month as a number
+    set: value => MONTHS[Number(value) - 1] ?? value,
+  },
+  channel: {
+    type: String,
+    enum: {
+      values: TARGET_CHANNELS,
+      message: 'Channel must be one of: ' + TARGET_CHANNELS.join(', '),
+    },
+    default: 'all',
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Target amount is required'],
+    min: [0, 'Target amount must be a positive number'],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// A target can be given by StoreCode or by pharmacy; fill in the other one
+// When both are given the StoreCode wins
+salesTargetSchema.pre('validate', async function () {
+  const hasStoreCode = this.StoreCode !== undefined && this.StoreCode !== null;
+
+  if (!hasStoreCode && !this.pharmacy) {
+    this.invalidate('StoreCode', 'Store code or pharmacy is required');
+    return;
+  }
+
+  // Bulk uploads link the pharmacies of all their rows at once before validating
+  if (this.$locals.pharmacyLinked) {
+    return;
+  }
+
+  if (this.pharmacy && (!hasStoreCode || (this.isModified('pharmacy') && !this.isModified('StoreCode')))) {
+    const pharmacy = await Pharmacy.findById(this.pharmacy).select('branchCode');
+    if (!pharmacy) {
+      this.invalidate('pharmacy', 'Pharmacy not found');
+      return;
+    }
+    this.StoreCode = pharmacy.branchCode;
+  } else if (hasStoreCode) {
+    if (!this.pharmacy || this.isModified('StoreCode')) {
+      const pharmacy = await Pharmacy.findOne({ branchCode: this.StoreCode }).select('_id');
+      this.pharmacy = pharmacy ? pharmacy._id : undefined;
+    }
+  }
+});
+
+// One target per branch, month and channel
+salesTargetSchema.index({ StoreCode: 1, Year: 1, Month: 1, channel: 1 }, { unique: true });
+salesTargetSchema.index({ Year: 1, Month: 1 });
+
+const SalesTarget = mongoose.model('SalesTarget', salesTargetSchema);
+
+export default SalesTarget;
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Optional name sent by the client at login, e.g. "Branch 415 counter PC"
+  deviceName: {
+    type: String,
+    trim: true,
+  },
+  ipAddress: {
+    type: String,
+    trim: true,
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastSeenIp: {
+    type: String,
+    trim: true,
+  },
+  // Extended every time the session's refresh token is rotated
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user', 'admin', 'password_change', 'token_reuse'],
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for faster queries
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+// Expired sessions are removed automatically by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
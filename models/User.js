@@ -1,4 +1,11 @@
 import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import { isValidPermission } from '../config/permissions.js';
+
+const SALT_ROUNDS = 12;
+
+// bcrypt hashes look like $2a$12$<53 chars>; anything else is a legacy plaintext password
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -20,6 +27,7 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
+    select: false,
   },
   firstName: {
     type: String,
@@ -31,10 +39,18 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Last name is required'],
     trim: true,
   },
-  role: {
-    type: String,
-    enum: ['admin', 'user', 'pharmacist', 'pharmacy supervisor'],
-    default: 'user',
+  roles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+  }],
+  // Permissions granted directly to this user on top of their roles
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every(isValidPermission),
+      message: (props) => `Unknown permission in: ${props.value.join(', ')}`,
+    },
   },
   phone: {
     type: String,
@@ -76,17 +92,114 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
-  allowedPages: {
+  // Set on admin-created accounts and admin-set passwords; blocks other routes until changed
+  mustChangePassword: {
+    type: Boolean,
+    default: false,
+  },
+  passwordChangedAt: {
+    type: Date,
+  },
+  // One-time password reset token issued by an admin (SHA-256 hash)
+  passwordResetTokenHash: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+  },
+  // TOTP two-factor authentication
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  // Secret generated by setup, moved to twoFactorSecret once a code is verified
+  twoFactorPendingSecret: {
+    type: String,
+    select: false,
+  },
+  // SHA-256 hashes of unused recovery codes
+  twoFactorBackupCodes: {
     type: [String],
-    default: [],
-    // Array of page paths that the user is allowed to access
-    // Example: ['/pharmacies', '/header-sales', '/incentive-items']
+    select: false,
+  },
+  // Time step of the last accepted code; codes from this step or earlier are replays
+  twoFactorLastStep: {
+    type: Number,
+    select: false,
+  },
+  // Login brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedLoginAt: {
+    type: Date,
+  },
+  lockUntil: {
+    type: Date,
   },
 }, {
   timestamps: true,
+  toJSON: {
+    // Never send password, reset token or 2FA secrets to clients
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.passwordResetTokenHash;
+      delete ret.twoFactorSecret;
+      delete ret.twoFactorPendingSecret;
+      delete ret.twoFactorBackupCodes;
+      return ret;
+    },
+  },
+});
+
+// Hash the password whenever it is set or changed.
+// Whatever is assigned is treated as plaintext, so a hash can never be submitted directly.
+userSchema.pre('save', async function () {
+  if (!this.isModified('password')) {
+    return;
+  }
+  this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+  this.passwordChangedAt = new Date();
 });
 
+// Updates that bypass save() still must not store a raw value in the password field
+userSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function () {
+  const update = this.getUpdate();
+  if (!update) {
+    return;
+  }
+  const target = update.$set && update.$set.password !== undefined ? update.$set : update;
+  if (target.password !== undefined) {
+    target.password = await bcrypt.hash(String(target.password), SALT_ROUNDS);
+  }
+});
+
+// Check a candidate password against the stored one (requires password to be selected)
+userSchema.methods.matchPassword = async function (candidatePassword) {
+  if (!this.password || !candidatePassword) {
+    return false;
+  }
+  if (this.isPasswordHashed()) {
+    return bcrypt.compare(candidatePassword, this.password);
+  }
+  // Legacy plaintext password, migrated to a hash on successful login
+  return this.password === candidatePassword;
+};
+
+userSchema.methods.isPasswordHashed = function () {
+  return BCRYPT_HASH_PATTERN.test(this.password || '');
+};
+
 // Index for faster search
+userSchema.index({ roles: 1 });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
 userSchema.index({ username: 'text', email: 'text', firstName: 'text', lastName: 'text' });
 // Note: email and username indexes are automatically created by unique: true
 
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getApiKeys,
+  getApiKeyScopes,
+  getApiKey,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+} from '../controllers/apiKeyController.js';
+import { protectUser } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+
+const router = express.Router();
+
+// Keys are managed by people only, never by another key
+router.use(protectUser);
+
+// Routes
+router.route('/')
+  .get(requirePermission('api-keys:read'), getApiKeys)
+  .post(requirePermission('api-keys:write'), createApiKey);
+
+router.route('/scopes')
+  .get(requirePermission('api-keys:read'), getApiKeyScopes);
+
+router.route('/:id')
+  .get(requirePermission('api-keys:read'), getApiKey)
+  .put(requirePermission('api-keys:write'), updateApiKey)
+  .delete(requirePermission('api-keys:write'), revokeApiKey);
+
+export default router;
@@ -1,14 +1,47 @@
 import express from 'express';
 import {
   login,
+  twoFactorLogin,
+  refresh,
+  logout,
   getMe,
+  updateMe,
+  getPasswordPolicy,
+  changePassword,
+  resetPassword,
 } from '../controllers/authController.js';
+import {
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} from '../controllers/twoFactorController.js';
+import { getMySessions, revokeMySession } from '../controllers/sessionController.js';
+import { protectUser, protectAllowPending } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Routes
 router.post('/login', login);
-router.get('/me', getMe);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.get('/password-policy', getPasswordPolicy);
+router.post('/reset-password', resetPassword);
+router.post('/change-password', protectAllowPending, changePassword);
+
+// Two-factor authentication
+router.post('/2fa/login', twoFactorLogin);
+router.post('/2fa/setup', protectAllowPending, setupTwoFactor);
+router.post('/2fa/verify', protectAllowPending, verifyTwoFactor);
+router.post('/2fa/disable', protectUser, disableTwoFactor);
+router.post('/2fa/backup-codes', protectUser, regenerateBackupCodes);
+
+router.get('/sessions', protectUser, getMySessions);
+router.delete('/sessions/:id', protectUser, revokeMySession);
+
+router.route('/me')
+  .get(protectAllowPending, getMe)
+  .put(protectUser, updateMe);
 
 export default router;
 
@@ -9,6 +9,8 @@ import {
   getBabyJoyFilters,
 } from '../controllers/babyJoyController.js';
 import { protect } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { makeCommitChangeSetHandler } from '../utils/catalogChangeSets.js';
 
 const router = express.Router();
 
@@ -17,19 +19,22 @@ router.use(protect);
 
 // Routes
 router.route('/')
-  .get(getBabyJoyItems)
-  .post(createBabyJoyItem);
+  .get(requirePermission('baby-joy:read'), getBabyJoyItems)
+  .post(requirePermission('baby-joy:write'), createBabyJoyItem);
 
 router.route('/filters')
-  .get(getBabyJoyFilters);
+  .get(requirePermission('baby-joy:read'), getBabyJoyFilters);
 
 router.route('/bulk')
-  .post(bulkCreateBabyJoyItems);
+  .post(requirePermission('baby-joy:write'), bulkCreateBabyJoyItems);
+
+router.route('/bulk/commit')
+  .post(requirePermission('baby-joy:write'), makeCommitChangeSetHandler('baby-joy'));
 
 router.route('/:id')
-  .get(getBabyJoyItem)
-  .put(updateBabyJoyItem)
-  .delete(deleteBabyJoyItem);
+  .get(requirePermission('baby-joy:read'), getBabyJoyItem)
+  .put(requirePermission('baby-joy:write'), updateBabyJoyItem)
+  .delete(requirePermission('baby-joy:write'), deleteBabyJoyItem);
 
 export default router;
 
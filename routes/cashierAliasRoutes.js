@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getCashierAliases,
+  getUnlinkedUserNames,
+  getCashierAlias,
+  createCashierAlias,
+  updateCashierAlias,
+  deleteCashierAlias,
+} from '../controllers/cashierAliasController.js';
+import { protect } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Routes
+router.route('/')
+  .get(requirePermission('cashier-aliases:read'), getCashierAliases)
+  .post(requirePermission('cashier-aliases:write'), createCashierAlias);
+
+router.route('/unlinked')
+  .get(requirePermission('cashier-aliases:read'), getUnlinkedUserNames);
+
+router.route('/:id')
+  .get(requirePermission('cashier-aliases:read'), getCashierAlias)
+  .put(requirePermission('cashier-aliases:write'), updateCashierAlias)
+  .delete(requirePermission('cashier-aliases:write'), deleteCashierAlias);
+
+export default router;
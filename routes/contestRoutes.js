@@ -8,6 +8,8 @@ import {
   bulkCreateContests,
 } from '../controllers/contestController.js';
 import { protect } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { makeCommitChangeSetHandler } from '../utils/catalogChangeSets.js';
 
 const router = express.Router();
 
@@ -16,15 +18,18 @@ router.use(protect);
 
 // Routes
 router.route('/')
-  .get(getContests)
-  .post(createContest);
+  .get(requirePermission('contests:read'), getContests)
+  .post(requirePermission('contests:write'), createContest);
 
 router.route('/bulk')
-  .post(bulkCreateContests);
+  .post(requirePermission('contests:write'), bulkCreateContests);
+
+router.route('/bulk/commit')
+  .post(requirePermission('contests:write'), makeCommitChangeSetHandler('contests'));
 
 router.route('/:id')
-  .get(getContest)
-  .put(updateContest)
-  .delete(deleteContest);
+  .get(requirePermission('contests:read'), getContest)
+  .put(requirePermission('contests:write'), updateContest)
+  .delete(requirePermission('contests:write'), deleteContest);
 
 export default router;
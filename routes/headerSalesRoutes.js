@@ -2,17 +2,28 @@ import express from 'express';
 import {
   getHeaderSales,
   getHeaderSale,
+  getHeaderSaleLines,
   createHeaderSale,
   updateHeaderSale,
   deleteHeaderSale,
   bulkCreateHeaderSales,
+  importHeaderSalesFile,
   getHeaderSalesByMonth,
+  getHeaderSalesBreakdown,
+  getHeaderSalesComparison,
+  getHeaderSalesByStore,
+  getHeaderSalesHeatmap,
+  getHeaderSalesByCashier,
+  getHeaderSalesCustomers,
+  getHeaderSalesCustomerHistory,
   getCashHeaderSalesByMonth,
   getInsuranceHeaderSalesByMonth,
   getWasfatyHeaderSalesByMonth,
   getOnlineHeaderSalesByMonth,
 } from '../controllers/headerSalesController.js';
 import { protect } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { uploadSpreadsheet } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -21,31 +32,58 @@ router.use(protect);
 
 // Routes
 router.route('/')
-  .get(getHeaderSales)
-  .post(createHeaderSale);
+  .get(requirePermission('header-sales:read'), getHeaderSales)
+  .post(requirePermission('header-sales:write'), createHeaderSale);
 
 router.route('/bulk')
-  .post(bulkCreateHeaderSales);
+  .post(requirePermission('header-sales:write'), bulkCreateHeaderSales);
+
+router.route('/import')
+  .post(requirePermission('header-sales:write'), uploadSpreadsheet, importHeaderSalesFile);
 
 router.route('/by-month')
-  .get(getHeaderSalesByMonth);
+  .get(requirePermission('sales-by-month:read'), getHeaderSalesByMonth);
+
+router.route('/breakdown')
+  .get(requirePermission('sales-reports:read'), getHeaderSalesBreakdown);
+
+router.route('/comparison')
+  .get(requirePermission('sales-reports:read'), getHeaderSalesComparison);
+
+router.route('/by-store')
+  .get(requirePermission('sales-reports:read'), getHeaderSalesByStore);
+
+router.route('/heatmap')
+  .get(requirePermission('sales-reports:read'), getHeaderSalesHeatmap);
+
+router.route('/by-cashier')
+  .get(requirePermission('sales-reports:read'), getHeaderSalesByCashier);
+
+router.route('/customers')
+  .get(requirePermission('sales-reports:read'), getHeaderSalesCustomers);
+
+router.route('/customers/history')
+  .get(requirePermission('sales-reports:read'), getHeaderSalesCustomerHistory);
 
 router.route('/cash-by-month')
-  .get(getCashHeaderSalesByMonth);
+  .get(requirePermission('cash-sales:read'), getCashHeaderSalesByMonth);
 
 router.route('/insurance-by-month')
-  .get(getInsuranceHeaderSalesByMonth);
+  .get(requirePermission('insurance-sales:read'), getInsuranceHeaderSalesByMonth);
 
 router.route('/wasfaty-by-month')
-  .get(getWasfatyHeaderSalesByMonth);
+  .get(requirePermission('wasfaty-sales:read'), getWasfatyHeaderSalesByMonth);
 
 router.route('/online-by-month')
-  .get(getOnlineHeaderSalesByMonth);
+  .get(requirePermission('online-sales:read'), getOnlineHeaderSalesByMonth);
+
+router.route('/:id/lines')
+  .get(requirePermission('header-sales:read'), getHeaderSaleLines);
 
 router.route('/:id')
-  .get(getHeaderSale)
-  .put(updateHeaderSale)
-  .delete(deleteHeaderSale);
+  .get(requirePermission('header-sales:read'), getHeaderSale)
+  .put(requirePermission('header-sales:write'), updateHeaderSale)
+  .delete(requirePermission('header-sales:write'), deleteHeaderSale);
 
 export default router;
 
@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  createImportJob,
+  getImportJobs,
+  getImportJob,
+  downloadImportJobErrors,
+  cancelImportJob,
+} from '../controllers/importJobController.js';
+import { protect } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { uploadSpreadsheet } from '../middleware/upload.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Routes
+router.route('/')
+  .get(requirePermission('header-sales:write'), getImportJobs)
+  .post(requirePermission('header-sales:write'), uploadSpreadsheet, createImportJob);
+
+router.route('/:id/errors.csv')
+  .get(requirePermission('header-sales:write'), downloadImportJobErrors);
+
+router.route('/:id/cancel')
+  .post(requirePermission('header-sales:write'), cancelImportJob);
+
+router.route('/:id')
+  .get(requirePermission('header-sales:write'), getImportJob);
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getImportMappings,
+  getImportFields,
+  getImportMapping,
+  createImportMapping,
+  updateImportMapping,
+  deleteImportMapping,
+} from '../controllers/importMappingController.js';
+import { protect } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Mappings are part of importing header sales
+router.route('/')
+  .get(requirePermission('header-sales:write'), getImportMappings)
+  .post(requirePermission('header-sales:write'), createImportMapping);
+
+router.route('/fields')
+  .get(requirePermission('header-sales:write'), getImportFields);
+
+router.route('/:id')
+  .get(requirePermission('header-sales:write'), getImportMapping)
+  .put(requirePermission('header-sales:write'), updateImportMapping)
+  .delete(requirePermission('header-sales:write'), deleteImportMapping);
+
+export default router;
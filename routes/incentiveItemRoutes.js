@@ -8,6 +8,8 @@ import {
   bulkCreateIncentiveItems,
 } from '../controllers/incentiveItemController.js';
 import { protect } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { makeCommitChangeSetHandler } from '../utils/catalogChangeSets.js';
 
 const router = express.Router();
 
@@ -16,15 +18,18 @@ router.use(protect);
 
 // Routes
 router.route('/')
-  .get(getIncentiveItems)
-  .post(createIncentiveItem);
+  .get(requirePermission('incentive-items:read'), getIncentiveItems)
+  .post(requirePermission('incentive-items:write'), createIncentiveItem);
 
 router.route('/bulk')
-  .post(bulkCreateIncentiveItems);
+  .post(requirePermission('incentive-items:write'), bulkCreateIncentiveItems);
+
+router.route('/bulk/commit')
+  .post(requirePermission('incentive-items:write'), makeCommitChangeSetHandler('incentive-items'));
 
 router.route('/:id')
-  .get(getIncentiveItem)
-  .put(updateIncentiveItem)
-  .delete(deleteIncentiveItem);
+  .get(requirePermission('incentive-items:read'), getIncentiveItem)
+  .put(requirePermission('incentive-items:write'), updateIncentiveItem)
+  .delete(requirePermission('incentive-items:write'), deleteIncentiveItem);
 
 export default router;
@@ -8,6 +8,8 @@ import {
   bulkCreateInsuranceItems,
 } from '../controllers/insuranceItemController.js';
 import { protect } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { makeCommitChangeSetHandler } from '../utils/catalogChangeSets.js';
 
 const router = express.Router();
 
@@ -16,16 +18,19 @@ router.use(protect);
 
 // Routes
 router.route('/')
-  .get(getInsuranceItems)
-  .post(createInsuranceItem);
+  .get(requirePermission('insurance-items:read'), getInsuranceItems)
+  .post(requirePermission('insurance-items:write'), createInsuranceItem);
 
 router.route('/bulk')
-  .post(bulkCreateInsuranceItems);
+  .post(requirePermission('insurance-items:write'), bulkCreateInsuranceItems);
+
+router.route('/bulk/commit')
+  .post(requirePermission('insurance-items:write'), makeCommitChangeSetHandler('insurance-items'));
 
 router.route('/:id')
-  .get(getInsuranceItem)
-  .put(updateInsuranceItem)
-  .delete(deleteInsuranceItem);
+  .get(requirePermission('insurance-items:read'), getInsuranceItem)
+  .put(requirePermission('insurance-items:write'), updateInsuranceItem)
+  .delete(requirePermission('insurance-items:write'), deleteInsuranceItem);
 
 export default router;
 
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getInvoiceTypeDefinitions,
+  getUnmappedInvoiceTypes,
+  getInvoiceTypeDefinition,
+  createInvoiceTypeDefinition,
+  updateInvoiceTypeDefinition,
+  deleteInvoiceTypeDefinition,
+} from '../controllers/invoiceTypeController.js';
+import { protect } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Routes
+router.route('/')
+  .get(requirePermission('invoice-types:read'), getInvoiceTypeDefinitions)
+  .post(requirePermission('invoice-types:write'), createInvoiceTypeDefinition);
+
+router.route('/unmapped')
+  .get(requirePermission('invoice-types:read'), getUnmappedInvoiceTypes);
+
+router.route('/:id')
+  .get(requirePermission('invoice-types:read'), getInvoiceTypeDefinition)
+  .put(requirePermission('invoice-types:write'), updateInvoiceTypeDefinition)
+  .delete(requirePermission('invoice-types:write'), deleteInvoiceTypeDefinition);
+
+export default router;
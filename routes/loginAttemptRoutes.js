@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getLoginAttempts,
+  getSuspiciousLoginActivity,
+} from '../controllers/loginAttemptController.js';
+import { protect } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Routes
+router.get('/suspicious', requirePermission('login-attempts:read'), getSuspiciousLoginActivity);
+router.get('/', requirePermission('login-attempts:read'), getLoginAttempts);
+
+export default router;
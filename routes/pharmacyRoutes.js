@@ -9,6 +9,7 @@ import {
   removePharmacist,
 } from '../controllers/pharmacyController.js';
 import { protect } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
 
 const router = express.Router();
 
@@ -17,20 +18,20 @@ router.use(protect);
 
 // Routes
 router.route('/')
-  .get(getPharmacies)
-  .post(createPharmacy);
+  .get(requirePermission('pharmacies:read'), getPharmacies)
+  .post(requirePermission('pharmacies:write'), createPharmacy);
 
 // More specific routes must come before generic :id route
 router.route('/:id/pharmacists/:pharmacistId')
-  .delete(removePharmacist);
+  .delete(requirePermission('pharmacies:write'), removePharmacist);
 
 router.route('/:id/pharmacists')
-  .post(addPharmacist);
+  .post(requirePermission('pharmacies:write'), addPharmacist);
 
 router.route('/:id')
-  .get(getPharmacy)
-  .put(updatePharmacy)
-  .delete(deletePharmacy);
+  .get(requirePermission('pharmacies:read'), getPharmacy)
+  .put(requirePermission('pharmacies:write'), updatePharmacy)
+  .delete(requirePermission('pharmacies:write'), deletePharmacy);
 
 export default router;
 
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getRoles,
+  getPermissions,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+} from '../controllers/roleController.js';
+import { protect } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Routes
+router.route('/')
+  .get(requirePermission('roles:read'), getRoles)
+  .post(requirePermission('roles:write'), createRole);
+
+router.route('/permissions')
+  .get(requirePermission('roles:read'), getPermissions);
+
+router.route('/:id')
+  .get(requirePermission('roles:read'), getRole)
+  .put(requirePermission('roles:write'), updateRole)
+  .delete(requirePermission('roles:write'), deleteRole);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getSalesLines,
+  getSalesLineConsistency,
+  getSalesLine,
+  createSalesLine,
+  updateSalesLine,
+  deleteSalesLine,
+  bulkCreateSalesLines,
+} from '../controllers/salesLineController.js';
+import { protect } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Lines are part of the sales data, so they share the header sales permissions
+router.route('/')
+  .get(requirePermission('header-sales:read'), getSalesLines)
+  .post(requirePermission('header-sales:write'), createSalesLine);
+
+router.route('/bulk')
+  .post(requirePermission('header-sales:write'), bulkCreateSalesLines);
+
+router.route('/consistency')
+  .get(requirePermission('header-sales:read'), getSalesLineConsistency);
+
+router.route('/:id')
+  .get(requirePermission('header-sales:read'), getSalesLine)
+  .put(requirePermission('header-sales:write'), updateSalesLine)
+  .delete(requirePermission('header-sales:write'), deleteSalesLine);
+
+export default router;
@@ -0,0 +1,40 @@
+import express from 'express';
+import {
+  getSalesTargets,
+  getSalesTargetAchievement,
+  getSalesTarget,
+  createSalesTarget,
+  updateSalesTarget,
+  deleteSalesTarget,
+  bulkUpsertSalesTargets,
+  importSalesTargetsFile,
+} from '../controllers/salesTargetController.js';
+import { protect } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
+import { uploadSpreadsheet } from '../middleware/upload.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Routes
+router.route('/')
+  .get(requirePermission('sales-targets:read'), getSalesTargets)
+  .post(requirePermission('sales-targets:write'), createSalesTarget);
+
+router.route('/achievement')
+  .get(requirePermission('sales-targets:read'), getSalesTargetAchievement);
+
+router.route('/bulk')
+  .post(requirePermission('sales-targets:write'), bulkUpsertSalesTargets);
+
+router.route('/import')
+  .post(requirePermission('sales-targets:write'), uploadSpreadsheet, importSalesTargetsFile);
+
+router.route('/:id')
+  .get(requirePermission('sales-targets:read'), getSalesTarget)
+  .put(requirePermission('sales-targets:write'), updateSalesTarget)
+  .delete(requirePermission('sales-targets:write'), deleteSalesTarget);
+
+export default router;
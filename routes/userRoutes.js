@@ -5,19 +5,40 @@ import {
   createUser,
   updateUser,
   deleteUser,
+  unlockUser,
+  createPasswordReset,
+  resetTwoFactor,
 } from '../controllers/userController.js';
+import { getUserSessions, revokeAllUserSessions } from '../controllers/sessionController.js';
+import { protect } from '../middleware/auth.js';
+import { requirePermission, requireManageableUser } from '../middleware/permission.js';
 
 const router = express.Router();
 
-// Routes
+// All routes require authentication
+router.use(protect);
+
+// Supervisors hold users:read but only see the pharmacists in their pharmacies
 router.route('/')
-  .get(getUsers)
-  .post(createUser);
+  .get(requirePermission('users:read'), getUsers)
+  .post(requirePermission('users:write'), createUser);
+
+router.route('/:id/unlock')
+  .post(requirePermission('users:write'), requireManageableUser, unlockUser);
+
+router.route('/:id/password-reset')
+  .post(requirePermission('users:write'), requireManageableUser, createPasswordReset);
+
+router.route('/:id/two-factor/reset')
+  .post(requirePermission('users:write'), requireManageableUser, resetTwoFactor);
+
+router.route('/:id/sessions')
+  .get(requirePermission('users:write'), getUserSessions)
+  .delete(requirePermission('users:write'), requireManageableUser, revokeAllUserSessions);
 
 router.route('/:id')
-  .get(getUser)
-  .put(updateUser)
-  .delete(deleteUser);
+  .get(requirePermission('users:read'), getUser)
+  .put(requirePermission('users:write'), requireManageableUser, updateUser)
+  .delete(requirePermission('users:write'), requireManageableUser, deleteUser);
 
 export default router;
-
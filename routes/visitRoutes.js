@@ -4,20 +4,20 @@ import {
   getVisits,
   getVisitStats,
 } from '../controllers/visitController.js';
-import { protect } from '../middleware/auth.js';
-import { admin } from '../middleware/admin.js';
+import { protectUser } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permission.js';
 
 const router = express.Router();
 
 // All routes require authentication
-router.use(protect);
+router.use(protectUser);
 
 // Create visit (can be called by any authenticated user)
 router.post('/', createVisit);
 
-// Get visits and stats (admin only)
-router.get('/stats', admin, getVisitStats);
-router.get('/', admin, getVisits);
+// Get visits and stats (requires visits:read)
+router.get('/stats', requirePermission('visits:read'), getVisitStats);
+router.get('/', requirePermission('visits:read'), getVisits);
 
 export default router;
 
@@ -3,6 +3,7 @@ import cors from 'cors';
 import colors from 'colors';
 import dotenv from 'dotenv';
 import connectDB from './config/db.js';
+import { getTrustProxySetting } from './config/security.js';
 import pharmacyRoutes from './routes/pharmacyRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import authRoutes from './routes/authRoutes.js';
@@ -12,6 +13,16 @@ import contestRoutes from './routes/contestRoutes.js';
 import headerSalesRoutes from './routes/headerSalesRoutes.js';
 import visitRoutes from './routes/visitRoutes.js';
 import babyJoyRoutes from './routes/babyJoyRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import loginAttemptRoutes from './routes/loginAttemptRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import salesLineRoutes from './routes/salesLineRoutes.js';
+import importMappingRoutes from './routes/importMappingRoutes.js';
+import importJobRoutes from './routes/importJobRoutes.js';
+import invoiceTypeRoutes from './routes/invoiceTypeRoutes.js';
+import cashierAliasRoutes from './routes/cashierAliasRoutes.js';
+import salesTargetRoutes from './routes/salesTargetRoutes.js';
+import { monitorImportJobs } from './utils/importJobs.js';
 
 // Load environment variables
 dotenv.config();
@@ -19,6 +30,9 @@ dotenv.config();
 // Create Express app
 const app = express();
 
+// Login throttling and sessions record req.ip, which is only the client address once proxies are trusted
+app.set('trust proxy', getTrustProxySetting());
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -41,6 +55,15 @@ app.use("/api/contests", contestRoutes);
 app.use("/api/header-sales", headerSalesRoutes);
 app.use("/api/visits", visitRoutes);
 app.use("/api/baby-joy", babyJoyRoutes);
+app.use("/api/roles", roleRoutes);
+app.use("/api/login-attempts", loginAttemptRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/sales-lines", salesLineRoutes);
+app.use("/api/import-mappings", importMappingRoutes);
+app.use("/api/imports", importJobRoutes);
+app.use("/api/invoice-types", invoiceTypeRoutes);
+app.use("/api/cashier-aliases", cashierAliasRoutes);
+app.use("/api/sales-targets", salesTargetRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -52,6 +75,9 @@ app.use((err, req, res, next) => {
 // Connect to MongoDB
 connectDB();
 
+// Import jobs run in the process they were submitted to; fail those whose server stopped
+monitorImportJobs();
+
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import { hashToken } from './tokens.js';
+
+// Keys look like `uni_<48 hex chars>` so they are easy to spot in configs and logs
+const API_KEY_PREFIX = 'uni_';
+
+// How often lastUsedAt is written, to avoid a database write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+export const isApiKeyFormat = (value) => typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+
+// Generate a new raw key along with what gets stored for it
+export const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashToken(key),
+  };
+};
+
+// Find an API key that has not been revoked or expired
+export const findActiveApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    return null;
+  }
+
+  return apiKey;
+};
+
+// Record use of an API key
+export const touchApiKey = async (apiKey, req) => {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < TOUCH_INTERVAL_MS) {
+    return;
+  }
+  await ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+  );
+};
+
+// Store codes the request is limited to, or null when it may use every store
+export const getAllowedStoreCodes = (req) => (
+  req.apiKey && req.apiKey.storeCodes.length > 0 ? req.apiKey.storeCodes : null
+);
+
+export const isStoreAllowed = (req, storeCode) => {
+  const allowed = getAllowedStoreCodes(req);
+  return !allowed || allowed.includes(Number(storeCode));
+};
+
+// Restrict a StoreCode filter (a single code or { $in: [...] }) in a query to the stores the request may use
+export const applyStoreScope = (req, query) => {
+  const allowed = getAllowedStoreCodes(req);
+
+  if (allowed) {
+    if (query.StoreCode === undefined) {
+      query.StoreCode = { $in: allowed };
+    } else {
+      const requested = query.StoreCode?.$in ?? [query.StoreCode];
+      query.StoreCode = { $in: allowed.filter(storeCode => requested.includes(storeCode)) };
+    }
+  }
+
+  return query;
+};
@@ -0,0 +1,83 @@
+// Arabic text normalization
+// POS operators type the same name with different letter forms (أحمد / احمد,
+// مكة / مكه, علي / على), diacritics and tatweel, so comparisons use a normalized form.
+
+const DIACRITICS_PATTERN = /[ً-ٰٟ]/g;
+const TATWEEL_PATTERN = /ـ/g;
+
+// Letter forms folded onto a single form
+export const ARABIC_LETTER_REPLACEMENTS = [
+  ['أ', 'ا'],
+  ['إ', 'ا'],
+  ['آ', 'ا'],
+  ['ٱ', 'ا'],
+  ['ى', 'ي'],
+  ['ئ', 'ي'],
+  ['ؤ', 'و'],
+  ['ة', 'ه'],
+];
+
+// Normalize text for comparison: trims, collapses whitespace, lowercases Latin letters,
+// strips diacritics and tatweel and folds Arabic letter forms
+export const normalizeArabicText = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = String(value)
+    .replace(DIACRITICS_PATTERN, '')
+    .replace(TATWEEL_PATTERN, '');
+
+  ARABIC_LETTER_REPLACEMENTS.forEach(([from, to]) => {
+    text = text.split(from).join(to);
+  });
+
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+};
+
+// Characters removed by normalizeArabicText, for the aggregation expression below
+const DIACRITICS = [
+  ...Array.from({ length: 0x065F - 0x064B + 1 }, (_, index) => String.fromCharCode(0x064B + index)),
+  '\u0670',
+];
+const TATWEEL = '\u0640';
+
+// Aggregation expression applying normalizeArabicText to a field or expression,
+// so documents can be grouped or matched by the normalized form inside MongoDB
+export const normalizeArabicTextExpression = (input) => {
+  let expression = { $ifNull: [input, ''] };
+
+  [...DIACRITICS, TATWEEL].forEach(character => {
+    expression = { $replaceAll: { input: expression, find: character, replacement: '' } };
+  });
+
+  ARABIC_LETTER_REPLACEMENTS.forEach(([from, to]) => {
+    expression = { $replaceAll: { input: expression, find: from, replacement: to } };
+  });
+
+  ['\t', '\n', '\r', '\u00a0'].forEach(character => {
+    expression = { $replaceAll: { input: expression, find: character, replacement: ' ' } };
+  });
+
+  // Collapse runs of spaces: split on spaces, drop the empty parts and join them back
+  return {
+    $toLower: {
+      $reduce: {
+        input: {
+          $filter: {
+            input: { $split: [expression, ' '] },
+            cond: { $ne: ['$$this', ''] },
+          },
+        },
+        initialValue: '',
+        in: {
+          $cond: [
+            { $eq: ['$$value', ''] },
+            '$$this',
+            { $concat: ['$$value', ' ', '$$this'] },
+          ],
+        },
+      },
+    },
+  };
+};
@@ -0,0 +1,334 @@
+import IncentiveItem from '../models/IncentiveItem.js';
+import Contest from '../models/Contest.js';
+import InsuranceItem from '../models/InsuranceItem.js';
+import BabyJoy from '../models/BabyJoy.js';
+import CatalogChangeSet from '../models/CatalogChangeSet.js';
+import CatalogChangeSetItem from '../models/CatalogChangeSetItem.js';
+import colors from 'colors';
+
+// Catalogs with dry-run imports and the fields identifying an item in each
+// A SAP code can take part in contests of several companies, so contests are keyed on both
+const CATALOGS = {
+  'incentive-items': { model: IncentiveItem, keyFields: ['SAP_Code'], label: 'incentive items' },
+  contests: { model: Contest, keyFields: ['Company', 'SAP_Code'], label: 'contests' },
+  'insurance-items': { model: InsuranceItem, keyFields: ['SAP_Code'], label: 'insurance items' },
+  'baby-joy': { model: BabyJoy, keyFields: ['Material'], label: 'baby joy items' },
+};
+
+const SYSTEM_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const keyOf = (keyFields, doc) => Object.fromEntries(keyFields.map(field => [field, doc[field]]));
+
+const keyString = (keyFields, doc) => keyFields.map(field => String(doc[field])).join('|');
+
+const isSameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a ?? []) === JSON.stringify(b ?? []);
+  }
+  return (a ?? null) === (b ?? null);
+};
+
+// Compare bulk import items with the catalog without writing anything
+// Only fields present in an item are compared; catalog items missing from the upload are left alone
+const diffCatalogItems = async ({ model, keyFields }, items) => {
+  const schemaFields = Object.keys(model.schema.paths).filter(field => !SYSTEM_FIELDS.includes(field));
+  const candidates = [];
+  const invalid = [];
+  const seenKeys = new Set();
+
+  items.forEach((item, index) => {
+    const doc = new model(item);
+    const validationError = doc.validateSync();
+
+    if (validationError) {
+      invalid.push({
+        index,
+        errors: Object.values(validationError.errors).map(err => err.message),
+      });
+      return;
+    }
+
+    const key = keyString(keyFields, doc);
+    if (seenKeys.has(key)) {
+      invalid.push({ index, key: keyOf(keyFields, doc), errors: ['Duplicate of an earlier item in this import'] });
+      return;
+    }
+    seenKeys.add(key);
+
+    const fields = schemaFields.filter(field => item[field] !== undefined || keyFields.includes(field));
+    candidates.push({ doc, key, fields });
+  });
+
+  const existingByKey = new Map();
+  if (candidates.length > 0) {
+    const existing = await model.find({
+      $or: candidates.map(({ doc }) => keyOf(keyFields, doc)),
+    }).lean();
+    existing.forEach(item => existingByKey.set(keyString(keyFields, item), item));
+  }
+
+  const additions = [];
+  const updates = [];
+  let unchangedCount = 0;
+
+  candidates.forEach(({ doc, key, fields }) => {
+    const existing = existingByKey.get(key);
+
+    if (!existing) {
+      additions.push(doc.toObject({ depopulate: true }));
+      return;
+    }
+
+    const changes = {};
+    fields.forEach(field => {
+      const after = doc.get(field);
+      if (!isSameValue(existing[field], after)) {
+        changes[field] = { before: existing[field] ?? null, after: after ?? null };
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      unchangedCount++;
+      return;
+    }
+
+    updates.push({ id: existing._id, key: keyOf(keyFields, existing), changes });
+  });
+
+  return { additions, updates, unchangedCount, invalid };
+};
+
+// Load the additions and updates of a change set in the order they are applied
+const loadChangeSetItems = async (changeSet) => {
+  const items = await CatalogChangeSetItem.find({ changeSet: changeSet._id }).sort({ index: 1 }).lean();
+
+  return {
+    additions: items.filter(item => item.kind === 'addition').map(item => item.data),
+    updates: items.filter(item => item.kind === 'update').map(item => item.data),
+  };
+};
+
+// Shape a change set and its additions and updates for API responses
+export const formatChangeSet = (changeSet, { additions, updates }, invalid = []) => {
+  const { keyFields } = CATALOGS[changeSet.catalog];
+
+  return {
+    changeSetId: changeSet._id,
+    status: changeSet.status,
+    expiresAt: changeSet.expiresAt,
+    summary: {
+      added: additions.length,
+      updated: updates.length,
+      unchanged: changeSet.unchangedCount,
+      invalid: changeSet.invalidCount,
+    },
+    added: additions.map(item => ({ key: keyOf(keyFields, item), item })),
+    updated: updates,
+    invalid,
+    ...(changeSet.status === 'failed' && { failure: changeSet.failure }),
+  };
+};
+
+// Diff bulk import items against a catalog and store the result for a later commit
+export const previewCatalogChanges = async (catalog, items, req) => {
+  const diff = await diffCatalogItems(CATALOGS[catalog], items);
+
+  const changeSet = new CatalogChangeSet({
+    catalog,
+    additionCount: diff.additions.length,
+    updateCount: diff.updates.length,
+    unchangedCount: diff.unchangedCount,
+    invalidCount: diff.invalid.length,
+    createdBy: req.user?._id,
+  });
+
+  // Items are written first so a change set is never found without them
+  await CatalogChangeSetItem.insertMany([
+    ...diff.additions.map(data => ({ kind: 'addition', data })),
+    ...diff.updates.map(data => ({ kind: 'update', data })),
+  ].map((item, index) => ({ ...item, index, changeSet: changeSet._id, expiresAt: changeSet.expiresAt })));
+  await changeSet.save();
+
+  return formatChangeSet(changeSet, diff, diff.invalid);
+};
+
+// Items touched by the change set that changed since the preview
+const findConflicts = async ({ model, keyFields }, { additions, updates }) => {
+  const conflicts = [];
+
+  if (additions.length > 0) {
+    const created = await model.find({
+      $or: additions.map(item => keyOf(keyFields, item)),
+    }).lean();
+    created.forEach(item => conflicts.push({ key: keyOf(keyFields, item), reason: 'Item was added since the preview' }));
+  }
+
+  if (updates.length > 0) {
+    const current = await model.find({ _id: { $in: updates.map(update => update.id) } }).lean();
+    const currentById = new Map(current.map(item => [item._id.toString(), item]));
+
+    updates.forEach(update => {
+      const item = currentById.get(update.id.toString());
+      if (!item) {
+        conflicts.push({ key: update.key, reason: 'Item was deleted since the preview' });
+        return;
+      }
+      const changedFields = Object.entries(update.changes)
+        .filter(([field, { before }]) => !isSameValue(item[field], before))
+        .map(([field]) => field);
+      if (changedFields.length > 0) {
+        conflicts.push({ key: update.key, reason: `Changed since the preview: ${changedFields.join(', ')}` });
+      }
+    });
+  }
+
+  return conflicts;
+};
+
+// Apply a previewed change set exactly as previewed
+// Returns { status: 404 | 409 | 500 | 200, ... }; nothing is written unless every item is as previewed
+// Operations run in order, so a write that stops part way has applied exactly the operations before the failing one.
+// The change set is then marked failed with how far it got, since retrying it would repeat those writes.
+export const commitCatalogChangeSet = async (catalog, changeSetId, req) => {
+  const changeSet = await CatalogChangeSet.findOne({ _id: changeSetId, catalog });
+
+  if (!changeSet) {
+    return { status: 404, message: 'Change set not found or expired' };
+  }
+
+  if (changeSet.status === 'applied') {
+    return { status: 409, message: 'Change set has already been applied' };
+  }
+
+  if (changeSet.status === 'failed') {
+    return { status: 409, message: 'Change set failed while being applied. Run the dry run again.' };
+  }
+
+  const definition = CATALOGS[catalog];
+  const changeSetItems = await loadChangeSetItems(changeSet);
+  const { additions, updates } = changeSetItems;
+  const conflicts = await findConflicts(definition, changeSetItems);
+
+  if (conflicts.length > 0) {
+    return {
+      status: 409,
+      message: 'The catalog changed since the preview. Run the dry run again.',
+      conflicts,
+    };
+  }
+
+  const operations = [
+    ...additions.map(item => ({ insertOne: { document: item } })),
+    ...updates.map(update => ({
+      updateOne: {
+        filter: { _id: update.id },
+        update: {
+          $set: Object.fromEntries(Object.entries(update.changes).map(([field, { after }]) => [field, after])),
+        },
+      },
+    })),
+  ];
+  const operationKeys = [
+    ...additions.map(item => keyOf(definition.keyFields, item)),
+    ...updates.map(update => update.key),
+  ];
+
+  // Claim the change set first so two concurrent commits cannot both apply it
+  // Applied change sets are kept as a record of the import
+  const claimed = await CatalogChangeSet.findOneAndUpdate(
+    { _id: changeSet._id, status: 'pending' },
+    {
+      $set: { status: 'applied', appliedAt: new Date(), appliedBy: req.user?._id },
+      $unset: { expiresAt: '' },
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return { status: 409, message: 'Change set has already been applied' };
+  }
+  await CatalogChangeSetItem.updateMany({ changeSet: changeSet._id }, { $unset: { expiresAt: '' } });
+
+  if (operations.length > 0) {
+    try {
+      await definition.model.bulkWrite(operations, { ordered: true });
+    } catch (error) {
+      // The driver reports a single write error as an object rather than an array
+      const [firstError] = [error.writeErrors ?? []].flat();
+      const failure = {
+        appliedCount: firstError ? firstError.index : null,
+        failedKey: firstError ? operationKeys[firstError.index] : null,
+        error: firstError?.errmsg ?? error.message,
+      };
+
+      console.error(`Catalog change set ${changeSet._id} failed after ${failure.appliedCount ?? 'an unknown number of'} operations:`.red, error);
+
+      const failed = await CatalogChangeSet.findByIdAndUpdate(
+        changeSet._id,
+        { $set: { status: 'failed', failure } },
+        { new: true }
+      );
+
+      return {
+        status: 500,
+        message: 'The change set was not fully applied. Run the dry run again to import the remaining changes.',
+        changeSet: formatChangeSet(failed, changeSetItems),
+      };
+    }
+  }
+
+  return { status: 200, changeSet: formatChangeSet(claimed, changeSetItems) };
+};
+
+// Route handler applying a change set of the catalog previewed with a dry-run bulk import
+// Mounted as POST /api/<catalog>/bulk/commit, requires <catalog>:write
+export const makeCommitChangeSetHandler = (catalog) => {
+  const { label } = CATALOGS[catalog];
+
+  return async (req, res) => {
+    try {
+      const { changeSetId } = req.body;
+
+      if (!changeSetId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Change set id is required',
+        });
+      }
+
+      const result = await commitCatalogChangeSet(catalog, changeSetId, req);
+
+      if (result.status !== 200) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message,
+          conflicts: result.conflicts,
+          data: result.changeSet,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result.changeSet,
+      });
+    } catch (error) {
+      console.error(`Error committing ${label} change set:`.red, error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid change set id',
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: `Error committing ${label} change set`,
+        error: error.message,
+      });
+    }
+  };
+};
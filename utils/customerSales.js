@@ -0,0 +1,121 @@
+import HeaderSales from '../models/HeaderSales.js';
+import { normalizeArabicText, normalizeArabicTextExpression } from './arabic.js';
+import { compareYearMonth, salesMetricAccumulators, computeSalesMetrics } from './salesAggregation.js';
+
+// HeaderSales fields naming the customer: the credit/insurance company or the patient
+export const CUSTOMER_NAME_FIELDS = ['CustomerName', 'ConsumerName'];
+export const CUSTOMER_SORT_METRICS = ['net', 'gross', 'returns', 'invoiceCount'];
+
+// Metrics, return count and purchase dates of an accumulated customer group
+const customerMetrics = (group) => ({
+  ...computeSalesMetrics(group),
+  returnCount: group.returnCount,
+  firstPurchase: group.firstPurchase,
+  lastPurchase: group.lastPurchase,
+});
+
+// Customers ranked by sortBy, with name variants folded together by normalizeArabicText
+// Each customer is named after its most used spelling and lists every spelling found
+export const getTopCustomers = async (matchQuery, definitions, { field = 'CustomerName', sortBy = 'net', limit = 50 } = {}) => {
+  const [result] = await HeaderSales.aggregate([
+    { $match: { ...matchQuery, [field]: { $nin: ['', null] } } },
+    // Totals per spelling, then per normalized name
+    {
+      $group: {
+        _id: { key: normalizeArabicTextExpression(`$${field}`), name: `$${field}` },
+        ...salesMetricAccumulators(definitions),
+        firstPurchase: { $min: '$Date' },
+        lastPurchase: { $max: '$Date' },
+      },
+    },
+    { $match: { '_id.key': { $ne: '' } } },
+    {
+      $group: {
+        _id: '$_id.key',
+        gross: { $sum: '$gross' },
+        returns: { $sum: '$returns' },
+        saleCount: { $sum: '$saleCount' },
+        returnCount: { $sum: '$returnCount' },
+        firstPurchase: { $min: '$firstPurchase' },
+        lastPurchase: { $max: '$lastPurchase' },
+        variants: { $push: { name: '$_id.name', invoiceCount: { $add: ['$saleCount', '$returnCount'] } } },
+      },
+    },
+    {
+      $addFields: {
+        net: { $subtract: ['$gross', '$returns'] },
+        invoiceCount: { $add: ['$saleCount', '$returnCount'] },
+      },
+    },
+    {
+      $facet: {
+        customers: [{ $sort: { [sortBy]: -1, _id: 1 } }, { $limit: limit }],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  return {
+    total: result.total[0]?.count ?? 0,
+    customers: result.customers.map(customer => {
+      const variants = [...customer.variants].sort((a, b) => b.invoiceCount - a.invoiceCount);
+      return {
+        key: customer._id,
+        name: variants[0].name,
+        variants: variants.map(variant => variant.name),
+        ...customerMetrics(customer),
+      };
+    }),
+  };
+};
+
+// Monthly history of one customer, matched on the normalized name so every spelling is included
+// Returns null when the customer has no invoices
+export const getCustomerHistory = async (matchQuery, definitions, { field = 'CustomerName', name }) => {
+  const key = normalizeArabicText(name);
+
+  const months = await HeaderSales.aggregate([
+    {
+      $match: {
+        ...matchQuery,
+        $expr: { $eq: [normalizeArabicTextExpression(`$${field}`), key] },
+      },
+    },
+    {
+      $group: {
+        _id: { Year: '$Year', Month: '$Month' },
+        ...salesMetricAccumulators(definitions),
+        firstPurchase: { $min: '$Date' },
+        lastPurchase: { $max: '$Date' },
+        variants: { $addToSet: `$${field}` },
+      },
+    },
+  ]);
+
+  if (months.length === 0) {
+    return null;
+  }
+
+  const totals = months.reduce((acc, month) => {
+    ['gross', 'returns', 'saleCount', 'returnCount'].forEach(total => {
+      acc[total] += month[total];
+    });
+    if (!acc.firstPurchase || month.firstPurchase < acc.firstPurchase) {
+      acc.firstPurchase = month.firstPurchase;
+    }
+    if (!acc.lastPurchase || month.lastPurchase > acc.lastPurchase) {
+      acc.lastPurchase = month.lastPurchase;
+    }
+    month.variants.forEach(variant => acc.variants.add(variant));
+    return acc;
+  }, { gross: 0, returns: 0, saleCount: 0, returnCount: 0, firstPurchase: null, lastPurchase: null, variants: new Set() });
+
+  return {
+    key,
+    variants: [...totals.variants].sort(),
+    ...customerMetrics(totals),
+    months: months
+      .map(({ _id, ...month }) => ({ Year: _id.Year, Month: _id.Month, ...customerMetrics(month) }))
+      .sort(compareYearMonth),
+  };
+};
@@ -0,0 +1,383 @@
+import HeaderSales from '../models/HeaderSales.js';
+import ImportMapping, { HEADER_SALES_IMPORT_FIELDS } from '../models/ImportMapping.js';
+import { normalizeArabicText } from './arabic.js';
+import { MONTHS } from './salesAggregation.js';
+
+// Fields that identify an invoice; matches the unique index on HeaderSales
+export const HEADER_SALES_KEY_FIELDS = ['StoreCode', 'InvoiceNumber', 'InvoiceType'];
+
+// Fields compared to decide whether an existing invoice changed
+const HEADER_SALES_FIELDS = Object.keys(HeaderSales.schema.paths)
+  .filter(field => !['_id', '__v', 'createdAt', 'updatedAt'].includes(field));
+
+const keyOf = (doc) => HEADER_SALES_KEY_FIELDS.map(field => String(doc[field])).join('|');
+
+const isSameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  return a === b;
+};
+
+// Fields of a validated document that differ from the stored invoice
+const changedFields = (doc, existing) => HEADER_SALES_FIELDS.filter(
+  field => !isSameValue(doc.get(field), existing[field])
+);
+
+// Insert new invoices and update changed ones, keyed on StoreCode + InvoiceNumber + InvoiceType
+// Returns a summary and the outcome of every row: inserted, updated, unchanged or failed
+export const upsertHeaderSales = async (items) => {
+  const rows = items.map((item, index) => ({ index, status: null }));
+  const candidates = [];
+  const seenKeys = new Map();
+
+  // Validate and cast each row the same way a create would
+  items.forEach((item, index) => {
+    const doc = new HeaderSales(item);
+    const validationError = doc.validateSync();
+
+    if (validationError) {
+      rows[index].status = 'failed';
+      rows[index].error = Object.values(validationError.errors).map(err => err.message).join(', ');
+      return;
+    }
+
+    const key = keyOf(doc);
+    if (seenKeys.has(key)) {
+      rows[index].status = 'failed';
+      rows[index].error = 'Duplicate of an earlier row in this import';
+      rows[index].duplicateOf = seenKeys.get(key);
+      return;
+    }
+
+    seenKeys.set(key, index);
+    candidates.push({ index, doc, key });
+  });
+
+  // Load the invoices that already exist for the candidate keys
+  const existingByKey = new Map();
+  if (candidates.length > 0) {
+    const existing = await HeaderSales.find({
+      $or: candidates.map(({ doc }) => Object.fromEntries(
+        HEADER_SALES_KEY_FIELDS.map(field => [field, doc.get(field)])
+      )),
+    }).lean();
+    existing.forEach(invoice => existingByKey.set(keyOf(invoice), invoice));
+  }
+
+  const operations = [];
+  const operationRows = [];
+
+  candidates.forEach(({ index, doc, key }) => {
+    const existing = existingByKey.get(key);
+
+    if (!existing) {
+      operations.push({ insertOne: { document: doc.toObject({ depopulate: true }) } });
+      operationRows.push(index);
+      rows[index].status = 'inserted';
+      rows[index].id = doc._id;
+      return;
+    }
+
+    rows[index].id = existing._id;
+    const fields = changedFields(doc, existing);
+
+    if (fields.length === 0) {
+      rows[index].status = 'unchanged';
+      return;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: existing._id },
+        update: { $set: Object.fromEntries(fields.map(field => [field, doc.get(field)])) },
+      },
+    });
+    operationRows.push(index);
+    rows[index].status = 'updated';
+    rows[index].changedFields = fields;
+  });
+
+  if (operations.length > 0) {
+    try {
+      await HeaderSales.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) {
+        throw error;
+      }
+      // Concurrent imports can still collide on the unique key
+      error.writeErrors.forEach(writeError => {
+        const row = rows[operationRows[writeError.index]];
+        row.status = 'failed';
+        row.error = writeError.errmsg;
+      });
+    }
+  }
+
+  const summary = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
+  rows.forEach(row => {
+    summary[row.status]++;
+  });
+
+  return { summary, rows };
+};
+
+// Fields an import file must provide; Year and Month are derived from Date when missing
+export const REQUIRED_IMPORT_FIELDS = ['StoreCode', 'InvoiceNumber', 'Date', 'InvoiceType', 'TotalAmountAfterDiscount'];
+
+// Column headers recognized without a saved mapping, including the POS export's Arabic headers
+export const DEFAULT_COLUMN_MAPPING = {
+  dateFormat: 'DMY',
+  columns: [
+    ...HEADER_SALES_IMPORT_FIELDS.map(field => ({ header: field, field })),
+    { header: 'رقم الفرع', field: 'StoreCode' },
+    { header: 'كود الفرع', field: 'StoreCode' },
+    { header: 'رقم الفاتورة', field: 'InvoiceNumber' },
+    { header: 'السنة', field: 'Year' },
+    { header: 'الشهر', field: 'Month' },
+    { header: 'التاريخ', field: 'Date' },
+    { header: 'تاريخ الفاتورة', field: 'Date' },
+    { header: 'الوقت', field: 'Time' },
+    { header: 'وقت الفاتورة', field: 'Time' },
+    { header: 'نوع الفاتورة', field: 'InvoiceType' },
+    { header: 'اسم العميل', field: 'CustomerName' },
+    { header: 'اسم المستهلك', field: 'ConsumerName' },
+    { header: 'اسم المستخدم', field: 'UserName' },
+    { header: 'الكاشير', field: 'UserName' },
+    { header: 'الإجمالي بعد الخصم', field: 'TotalAmountAfterDiscount' },
+    { header: 'الصافي', field: 'TotalAmountAfterDiscount' },
+  ],
+};
+
+// Replace Arabic-Indic digits and separators so numbers and dates parse
+const normalizeDigits = (value) => String(value)
+  .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+  .replace(/\u066B/g, '.')
+  .replace(/\u066C/g, ',')
+  .trim();
+
+const toUtcDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+const formatTime = (hours, minutes) => (
+  `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`
+);
+
+// Parse a time such as 14:35, 14:35:10, 2:35 PM or 2:35 م into HH:MM
+export const parseImportTime = (value) => {
+  if (value instanceof Date) {
+    return formatTime(value.getHours(), value.getMinutes());
+  }
+
+  // Excel stores times as a fraction of a day
+  if (typeof value === 'number') {
+    const totalMinutes = Math.round((value % 1) * 24 * 60) % (24 * 60);
+    return formatTime(Math.floor(totalMinutes / 60), totalMinutes % 60);
+  }
+
+  const match = normalizeDigits(value).match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm|ص|م)?$/i);
+  if (!match) {
+    return null;
+  }
+
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  const period = match[3]?.toLowerCase();
+
+  if (period) {
+    if (hours < 1 || hours > 12) {
+      return null;
+    }
+    const isPm = period === 'pm' || period === 'م';
+    hours = (hours % 12) + (isPm ? 12 : 0);
+  }
+
+  return hours < 24 && minutes < 60 ? formatTime(hours, minutes) : null;
+};
+
+// Parse a date cell into a UTC midnight Date, also returning a time if the cell had one
+export const parseImportDate = (value, dateFormat = 'DMY') => {
+  if (value instanceof Date) {
+    return {
+      date: toUtcDate(value.getFullYear(), value.getMonth() + 1, value.getDate()),
+      time: value.getHours() || value.getMinutes() ? formatTime(value.getHours(), value.getMinutes()) : null,
+    };
+  }
+
+  // Excel serial day number
+  if (typeof value === 'number') {
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(value) * 24 * 60 * 60 * 1000);
+    return { date, time: value % 1 ? parseImportTime(value) : null };
+  }
+
+  const [datePart, ...timeParts] = normalizeDigits(value).split(/\s+|T/);
+  const time = timeParts.length > 0 ? parseImportTime(timeParts.join(' ')) : null;
+
+  const isoMatch = datePart.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (isoMatch) {
+    return { date: toUtcDate(+isoMatch[1], +isoMatch[2], +isoMatch[3]), time };
+  }
+
+  const match = datePart.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (!match || dateFormat === 'YMD') {
+    return { date: null, time };
+  }
+
+  const [first, second] = [+match[1], +match[2]];
+  const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+  const [day, month] = dateFormat === 'MDY' ? [second, first] : [first, second];
+
+  return { date: toUtcDate(year, month, day), time };
+};
+
+const parseNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const text = normalizeDigits(value).replace(/,/g, '');
+  return text === '' || Number.isNaN(Number(text)) ? null : Number(text);
+};
+
+// Match file headers to HeaderSales fields using a mapping
+export const mapImportColumns = (headers, mapping = DEFAULT_COLUMN_MAPPING) => {
+  const fieldByHeader = new Map(
+    mapping.columns.map(column => [normalizeArabicText(column.header), column.field])
+  );
+
+  const mapped = [];
+  const unmapped = [];
+  headers.forEach(header => {
+    const field = fieldByHeader.get(normalizeArabicText(header));
+    if (field && !mapped.some(column => column.field === field)) {
+      mapped.push({ header, field });
+    } else {
+      unmapped.push(header);
+    }
+  });
+
+  const mappedFields = mapped.map(column => column.field);
+  const missingRequired = REQUIRED_IMPORT_FIELDS.filter(field => !mappedFields.includes(field));
+  if (!mappedFields.includes('Time') && !mappedFields.includes('Date')) {
+    missingRequired.push('Time');
+  }
+
+  return { mapped, unmapped, missingRequired };
+};
+
+// Turn one file record into HeaderSales data and collect parse and validation errors
+export const parseImportRecord = (record, columns, { dateFormat = 'DMY' } = {}) => {
+  const data = {};
+  const errors = [];
+  const invalidFields = new Set();
+  let timeFromDate = null;
+
+  const addError = (field, message) => {
+    invalidFields.add(field);
+    errors.push(message);
+  };
+
+  columns.forEach(({ header, field }) => {
+    const value = record[header];
+    if (value === '' || value === null || value === undefined) {
+      return;
+    }
+
+    switch (field) {
+      case 'Date': {
+        const { date, time } = parseImportDate(value, dateFormat);
+        if (date) {
+          data.Date = date;
+          timeFromDate = time;
+        } else {
+          addError(field, `Invalid date: ${value}`);
+        }
+        break;
+      }
+      case 'Time': {
+        const time = parseImportTime(value);
+        if (time) {
+          data.Time = time;
+        } else {
+          addError(field, `Invalid time: ${value}`);
+        }
+        break;
+      }
+      case 'StoreCode':
+      case 'Year':
+      case 'TotalAmountAfterDiscount': {
+        const number = parseNumber(value);
+        if (number === null) {
+          addError(field, `${field} must be a number: ${value}`);
+        } else {
+          data[field] = number;
+        }
+        break;
+      }
+      default:
+        data[field] = typeof value === 'string' ? value.trim() : String(value);
+    }
+  });
+
+  // Fill in what the schema requires from the invoice date
+  if (data.Date) {
+    if (data.Time === undefined && timeFromDate) {
+      data.Time = timeFromDate;
+    }
+    if (data.Year === undefined) {
+      data.Year = data.Date.getUTCFullYear();
+    }
+    if (data.Month === undefined) {
+      data.Month = MONTHS[data.Date.getUTCMonth()];
+    }
+  }
+
+  // Fields derived from an unreadable date are reported through the date error
+  if (invalidFields.has('Date')) {
+    ['Year', 'Month', 'Time'].forEach(field => invalidFields.add(field));
+  }
+
+  // Schema errors for fields that already failed to parse would only repeat them
+  const validationError = new HeaderSales(data).validateSync();
+  if (validationError) {
+    Object.values(validationError.errors)
+      .filter(err => !invalidFields.has(err.path))
+      .forEach(err => errors.push(err.message));
+  }
+
+  return { data, errors };
+};
+
+// The mapping to use for an upload: the requested one, else the saved default, else the built-in one
+// Returns null when a requested mapping does not exist
+export const resolveImportMapping = async (mappingId) => {
+  if (mappingId) {
+    return ImportMapping.findById(mappingId);
+  }
+  return (await ImportMapping.findOne({ isDefault: true })) || DEFAULT_COLUMN_MAPPING;
+};
+
+// Parse and validate every record of a file; row numbers match the spreadsheet (header is row 1)
+// firstRow is the row number of the first record when validating a chunk of a file
+// isStoreAllowed lets callers reject stores the requester may not write
+export const validateImportRecords = (records, columns, {
+  dateFormat,
+  firstRow = 2,
+  isStoreAllowed = () => true,
+} = {}) => (
+  records.map((record, index) => {
+    const { data, errors } = parseImportRecord(record, columns, { dateFormat });
+
+    if (data.StoreCode !== undefined && !isStoreAllowed(data.StoreCode)) {
+      errors.push(`Store ${data.StoreCode} is not allowed for this API key`);
+    }
+
+    return {
+      row: firstRow + index,
+      status: errors.length > 0 ? 'invalid' : 'valid',
+      errors,
+      data,
+    };
+  })
+);
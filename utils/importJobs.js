@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ImportJob from '../models/ImportJob.js';
+import ImportJobError from '../models/ImportJobError.js';
+import { validateImportRecords, upsertHeaderSales } from './headerSalesImport.js';
+import { readSpreadsheet } from './spreadsheet.js';
+import colors from 'colors';
+
+// Uploaded files wait here until their job runs, so queued jobs hold nothing in memory
+const UPLOAD_DIR = path.join(os.tmpdir(), 'uni-import-jobs');
+
+const uploadPath = (jobId) => path.join(UPLOAD_DIR, `${jobId}.upload`);
+
+// Rows validated and written per step; progress is saved after each chunk
+const CHUNK_SIZE = 1000;
+
+// Identifies this process on the jobs it runs, as several servers can share the jobs collection
+const INSTANCE_ID = crypto.randomUUID();
+
+// How often this process marks its unfinished jobs as alive and looks for jobs whose process is gone
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// A job without a heartbeat for this long belongs to a process that stopped
+// Generous, as reading a large file holds up the heartbeat
+const STALE_AFTER_MS = 10 * 60 * 1000;
+
+const UNFINISHED_STATUSES = ['queued', 'running'];
+
+// Jobs run one at a time, in the order they were submitted
+let queue = Promise.resolve();
+
+const EMPTY_UPSERT = { summary: { inserted: 0, updated: 0, unchanged: 0, failed: 0 }, rows: [] };
+
+// Give pending requests a turn between chunks
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+// Only unfinished jobs are finished, so a job another server failed as stale keeps that outcome
+const finishJob = (jobId, status, extra = {}) => ImportJob.updateOne(
+  { _id: jobId, status: { $in: UNFINISHED_STATUSES } },
+  { $set: { status, finishedAt: new Date(), ...extra } }
+);
+
+// Process one chunk of records, storing rows that were not imported
+const processChunk = async (job, chunk, start, { columns, dateFormat }) => {
+  const isStoreAllowed = (storeCode) => (
+    job.storeCodes.length === 0 || job.storeCodes.includes(Number(storeCode))
+  );
+  const firstRow = start + 2;
+
+  const rows = validateImportRecords(chunk, columns, { dateFormat, firstRow, isStoreAllowed });
+  const validRows = rows.filter(row => row.status === 'valid');
+  const invalidRows = rows.filter(row => row.status === 'invalid');
+
+  const { summary, rows: results } = validRows.length > 0
+    ? await upsertHeaderSales(validRows.map(row => row.data))
+    : EMPTY_UPSERT;
+
+  const failedRows = results
+    .filter(result => result.status === 'failed')
+    .map(result => ({ row: validRows[result.index].row, messages: [result.error] }));
+
+  const errorDocs = [
+    ...invalidRows.map(row => ({ row: row.row, messages: row.errors })),
+    ...failedRows,
+  ].map(error => ({ ...error, job: job._id, values: chunk[error.row - firstRow] }));
+
+  if (errorDocs.length > 0) {
+    await ImportJobError.insertMany(errorDocs);
+  }
+
+  await ImportJob.updateOne({ _id: job._id }, {
+    $inc: {
+      processedRows: chunk.length,
+      'summary.inserted': summary.inserted,
+      'summary.updated': summary.updated,
+      'summary.unchanged': summary.unchanged,
+      'summary.invalid': invalidRows.length,
+      'summary.failed': summary.failed,
+    },
+  });
+};
+
+const runImportJob = async (jobId, options) => {
+  try {
+    // Claim the job atomically, so a cancel arriving at the same moment either wins or sees it running
+    const job = await ImportJob.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { $set: { status: 'running', startedAt: new Date() } },
+      { new: true }
+    );
+
+    // Cancelled while waiting in the queue
+    if (!job) {
+      return;
+    }
+
+    try {
+      const { records } = readSpreadsheet(await fs.readFile(uploadPath(jobId)), job.fileName);
+      await ImportJob.updateOne({ _id: jobId }, { $set: { totalRows: records.length } });
+
+      for (let start = 0; start < records.length; start += CHUNK_SIZE) {
+        const { status, cancelRequestedAt } = await ImportJob.findById(jobId).select('status cancelRequestedAt');
+        // Another server took it for stale and failed it
+        if (status !== 'running') {
+          return;
+        }
+        if (cancelRequestedAt) {
+          await finishJob(jobId, 'cancelled');
+          return;
+        }
+
+        await processChunk(job, records.slice(start, start + CHUNK_SIZE), start, options);
+        await yieldToEventLoop();
+      }
+
+      await finishJob(jobId, 'completed');
+    } catch (error) {
+      console.error(`Error running import job ${jobId}:`.red, error);
+      await finishJob(jobId, 'failed', { errorMessage: error.message });
+    }
+  } finally {
+    await fs.rm(uploadPath(jobId), { force: true });
+  }
+};
+
+// Queue a job to import an uploaded file in the background
+// The file is kept on disk until the job runs and is only parsed then
+// options: columns (mapped file columns) and dateFormat
+export const enqueueImportJob = async (job, buffer, options) => {
+  try {
+    await ImportJob.updateOne({ _id: job._id }, { $set: { instance: INSTANCE_ID, heartbeatAt: new Date() } });
+    await fs.mkdir(UPLOAD_DIR, { recursive: true });
+    await fs.writeFile(uploadPath(job._id), buffer);
+  } catch (error) {
+    await finishJob(job._id, 'failed', { errorMessage: 'The uploaded file could not be stored' });
+    throw error;
+  }
+
+  queue = queue
+    .then(() => runImportJob(job._id, options))
+    .catch(error => console.error('Error in import job queue:'.red, error));
+};
+
+// Mark the unfinished jobs of this process as alive
+const sendHeartbeat = () => ImportJob.updateMany(
+  { instance: INSTANCE_ID, status: { $in: UNFINISHED_STATUSES } },
+  { $set: { heartbeatAt: new Date() } }
+);
+
+// Jobs only run in the process they were submitted to; fail the unfinished ones whose process stopped,
+// along with their uploaded files. Jobs from before heartbeats count from their last update.
+const failStaleImportJobs = async () => {
+  const staleBefore = new Date(Date.now() - STALE_AFTER_MS);
+  const staleQuery = {
+    status: { $in: UNFINISHED_STATUSES },
+    $or: [
+      { heartbeatAt: { $lt: staleBefore } },
+      { heartbeatAt: { $exists: false }, updatedAt: { $lt: staleBefore } },
+    ],
+  };
+
+  const staleJobs = await ImportJob.find(staleQuery).select('_id');
+  let failedCount = 0;
+
+  for (const { _id } of staleJobs) {
+    // Still stale when failed, in case its process came back in the meantime
+    const failed = await ImportJob.findOneAndUpdate(
+      { ...staleQuery, _id },
+      { $set: { status: 'failed', finishedAt: new Date(), errorMessage: 'Interrupted because its server stopped' } }
+    );
+    if (failed) {
+      failedCount++;
+      await fs.rm(uploadPath(_id), { force: true });
+    }
+  }
+
+  if (failedCount > 0) {
+    console.log(`Marked ${failedCount} interrupted import job(s) as failed`.yellow);
+  }
+};
+
+const monitorTick = async () => {
+  try {
+    await sendHeartbeat();
+    await failStaleImportJobs();
+  } catch (error) {
+    console.error('Error checking for interrupted import jobs:'.red, error);
+  }
+};
+
+// Keep this process's jobs alive and fail jobs left behind by stopped servers, now and from then on
+export const monitorImportJobs = () => {
+  monitorTick();
+  setInterval(monitorTick, HEARTBEAT_INTERVAL_MS).unref();
+};
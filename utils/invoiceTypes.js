@@ -0,0 +1,89 @@
+import HeaderSales from '../models/HeaderSales.js';
+import InvoiceTypeDefinition from '../models/InvoiceTypeDefinition.js';
+
+// Invoice types the channel reports used to hardcode
+export const KNOWN_INVOICE_TYPES = [
+  'CashCustomer',
+  'CreditCustomer',
+  'Normal',
+  'Return',
+  'ReturnCashCustomer',
+  'ReturnCreditCustomer',
+  'Online',
+  'ReturnOnline',
+];
+
+// Guess the definition of a raw InvoiceType from its name
+// Used to seed definitions from the invoice types already stored; admins correct them afterwards
+export const suggestInvoiceTypeDefinition = (invoiceType) => {
+  let channel = 'cash';
+  if (/insurance/i.test(invoiceType)) {
+    channel = 'insurance';
+  } else if (/wasf/i.test(invoiceType)) {
+    channel = 'wasfaty';
+  } else if (/online/i.test(invoiceType)) {
+    channel = 'online';
+  }
+
+  return {
+    invoiceType,
+    channel,
+    sign: /return/i.test(invoiceType) ? 'return' : 'sale',
+    // "ReturnCashCustomer" -> "Return Cash Customer"
+    label: invoiceType.replace(/([a-z])([A-Z])/g, '$1 $2'),
+  };
+};
+
+// Definitions of a channel or a list of channels, or of every channel when none is given
+export const getInvoiceTypeDefinitions = (channel) => InvoiceTypeDefinition
+  .find(channel ? { channel: { $in: [channel].flat() } } : {})
+  .sort({ channel: 1, sign: 1, invoiceType: 1 })
+  .lean();
+
+// Invoice types in header sales matching `matchQuery` that have no definition, with their invoice count and total
+// Their sales are left out of every channel report until an admin defines them
+export const findUnmappedInvoiceTypes = async (matchQuery = {}) => {
+  const defined = await InvoiceTypeDefinition.distinct('invoiceType');
+
+  const unmapped = await HeaderSales.aggregate([
+    { $match: { ...matchQuery, InvoiceType: { $nin: defined } } },
+    {
+      $group: {
+        _id: '$InvoiceType',
+        count: { $sum: 1 },
+        total: { $sum: '$TotalAmountAfterDiscount' },
+      },
+    },
+    { $sort: { count: -1 } },
+  ]);
+
+  return unmapped.map(({ _id, count, total }) => ({
+    invoiceType: _id,
+    count,
+    total,
+    suggestion: _id ? suggestInvoiceTypeDefinition(_id) : null,
+  }));
+};
+
+// Create a guessed definition for every known or stored invoice type that has none
+// Existing definitions are left untouched; returns the definitions created
+export const defineMissingInvoiceTypes = async () => {
+  const storedTypes = await HeaderSales.distinct('InvoiceType');
+  const invoiceTypes = [...new Set([...KNOWN_INVOICE_TYPES, ...storedTypes])].filter(Boolean);
+
+  const created = [];
+  for (const invoiceType of invoiceTypes) {
+    const suggestion = suggestInvoiceTypeDefinition(invoiceType);
+    const result = await InvoiceTypeDefinition.updateOne(
+      { invoiceType },
+      { $setOnInsert: suggestion },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount > 0) {
+      created.push(suggestion);
+    }
+  }
+
+  return { created, total: invoiceTypes.length };
+};
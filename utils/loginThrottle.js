@@ -0,0 +1,204 @@
+import LoginAttempt from '../models/LoginAttempt.js';
+import User from '../models/User.js';
+import { getLoginThrottleConfig } from '../config/security.js';
+
+// Times a user attempt is re-checked when parallel attempts keep changing the count
+const CLAIM_TRIES = 3;
+
+// Seconds to wait after `failures` failed attempts, 0 while still within the free attempts
+const getDelaySeconds = (failures) => {
+  const { freeAttempts, baseDelaySeconds, maxDelaySeconds } = getLoginThrottleConfig();
+  if (failures < freeAttempts) {
+    return 0;
+  }
+  return Math.min(baseDelaySeconds * 2 ** (failures - freeAttempts), maxDelaySeconds);
+};
+
+// Seconds left before another attempt is allowed
+const getRemainingSeconds = (failures, lastFailureAt) => {
+  if (!lastFailureAt) {
+    return 0;
+  }
+  const allowedAt = new Date(lastFailureAt).getTime() + getDelaySeconds(failures) * 1000;
+  return Math.max(0, Math.ceil((allowedAt - Date.now()) / 1000));
+};
+
+// Record a login attempt for later review
+export const recordLoginAttempt = (req, { username, user, success, reason }) => LoginAttempt.create({
+  username,
+  user: user?._id,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  success,
+  reason,
+});
+
+// Check recent failures from an IP address, not counting the attempt `excludeId`
+// Returns { blocked, retryAfter } where retryAfter is in seconds
+const checkIpThrottle = async (ipAddress, excludeId) => {
+  const { maxIpAttempts, ipWindowMinutes } = getLoginThrottleConfig();
+  const windowStart = new Date(Date.now() - ipWindowMinutes * 60 * 1000);
+
+  // Only wrong credentials and attempts still being checked count;
+  // rejected attempts would otherwise extend the block forever
+  const failures = await LoginAttempt.find({
+    _id: { $ne: excludeId },
+    ipAddress,
+    reason: { $in: ['pending', 'invalid_credentials', 'invalid_2fa_code', 'unknown_user'] },
+    createdAt: { $gte: windowStart },
+  })
+    .sort({ createdAt: -1 })
+    .select('createdAt');
+
+  if (failures.length === 0) {
+    return { blocked: false, retryAfter: 0 };
+  }
+
+  if (failures.length >= maxIpAttempts) {
+    // Blocked until the oldest failure in the window drops out of it
+    const oldest = failures[failures.length - 1].createdAt.getTime();
+    const retryAfter = Math.ceil((oldest + ipWindowMinutes * 60 * 1000 - Date.now()) / 1000);
+    return { blocked: true, retryAfter: Math.max(retryAfter, 1) };
+  }
+
+  const retryAfter = getRemainingSeconds(failures.length, failures[0].createdAt);
+  return { blocked: retryAfter > 0, retryAfter };
+};
+
+// Record a pending attempt from the request IP, then check the IP throttle against the others
+// Recording first means parallel requests see each other instead of all passing the same check
+// Returns { attempt, blocked, retryAfter }; settle the attempt with finishLoginAttempt
+export const claimIpAttempt = async (req, { username, user } = {}) => {
+  const attempt = await recordLoginAttempt(req, { username, user, success: false, reason: 'pending' });
+  const throttle = await checkIpThrottle(req.ip, attempt._id);
+  return { attempt, ...throttle };
+};
+
+// Settle a pending attempt with its outcome
+export const finishLoginAttempt = (attempt, { username, user, success, reason }) => LoginAttempt.updateOne(
+  { _id: attempt._id },
+  {
+    $set: {
+      ...(username && { username }),
+      ...(user && { user: user._id }),
+      success,
+      reason,
+    },
+  }
+);
+
+// Drop a pending attempt that turned out not to be a login attempt of its own
+export const discardLoginAttempt = (attempt) => LoginAttempt.deleteOne({ _id: attempt._id });
+
+// Check whether a user is locked or must wait before trying again
+// Returns { locked, throttled, retryAfter } where retryAfter is in seconds
+export const checkUserThrottle = (user) => {
+  if (user.lockUntil && user.lockUntil > new Date()) {
+    return {
+      locked: true,
+      throttled: false,
+      retryAfter: Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000),
+    };
+  }
+
+  const retryAfter = getRemainingSeconds(user.failedLoginAttempts || 0, user.lastFailedLoginAt);
+  return { locked: false, throttled: retryAfter > 0, retryAfter };
+};
+
+// Claim a login attempt for a user before checking the password or code
+// The attempt counts as a failure up front, and only if the count and lock are still those the throttle
+// was checked against, so parallel requests cannot all pass the same check
+// Returns { claimed, locked, throttled, retryAfter, failures, lastFailedLoginAt }, the last two as before the claim
+export const claimUserAttempt = async (user) => {
+  let current = user;
+
+  for (let tries = 0; tries < CLAIM_TRIES && current; tries += 1) {
+    const throttle = checkUserThrottle(current);
+    if (throttle.locked || throttle.throttled) {
+      return { claimed: false, ...throttle };
+    }
+
+    const failures = current.failedLoginAttempts || 0;
+    const now = new Date();
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        failedLoginAttempts: failures === 0 ? { $in: [0, null] } : failures,
+        $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }],
+      },
+      {
+        $inc: { failedLoginAttempts: 1 },
+        $set: { lastFailedLoginAt: now },
+      },
+      { new: true }
+    ).select('_id');
+
+    if (claimed) {
+      return {
+        claimed: true,
+        locked: false,
+        throttled: false,
+        retryAfter: 0,
+        failures,
+        lastFailedLoginAt: current.lastFailedLoginAt,
+      };
+    }
+
+    // Another attempt changed the count first; check again against its result
+    current = await User.findById(user._id).select('failedLoginAttempts lastFailedLoginAt lockUntil');
+  }
+
+  return { claimed: false, locked: false, throttled: true, retryAfter: 1 };
+};
+
+// Give back a claimed attempt that turned out not to be a failure
+export const releaseUserAttempt = (userId, claim) => User.updateOne(
+  { _id: userId, failedLoginAttempts: claim.failures + 1 },
+  claim.lastFailedLoginAt
+    ? { $inc: { failedLoginAttempts: -1 }, $set: { lastFailedLoginAt: claim.lastFailedLoginAt } }
+    : { $inc: { failedLoginAttempts: -1 }, $unset: { lastFailedLoginAt: '' } }
+);
+
+// Lock the account once its claimed attempts reach the limit
+// Returns the user with its new lockUntil, or null while attempts remain
+export const registerFailedLogin = (user) => {
+  const { maxUserAttempts, lockMinutes } = getLoginThrottleConfig();
+
+  // Start a fresh count once the lock expires
+  return User.findOneAndUpdate(
+    { _id: user._id, failedLoginAttempts: { $gte: maxUserAttempts } },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000),
+      },
+      $unset: { lastFailedLoginAt: '' },
+    },
+    { new: true }
+  ).select('failedLoginAttempts lockUntil');
+};
+
+// Clear failed attempts and any lock for a user
+export const resetFailedLogins = (userId) => User.updateOne(
+  { _id: userId },
+  {
+    $set: { failedLoginAttempts: 0 },
+    $unset: { lockUntil: '', lastFailedLoginAt: '' },
+  }
+);
+
+// Respond to a login blocked by the IP or account throttle
+export const sendThrottled = (res, { locked, retryAfter }, ipBlocked = false) => {
+  res.set('Retry-After', String(retryAfter));
+  let message = 'Too many failed login attempts. Please wait before trying again.';
+  if (ipBlocked) {
+    message = 'Too many failed login attempts. Please try again later.';
+  } else if (locked) {
+    message = 'Your account is temporarily locked after too many failed login attempts.';
+  }
+  return res.status(locked ? 423 : 429).json({
+    success: false,
+    message,
+    retryAfter,
+  });
+};
@@ -0,0 +1,39 @@
+import { getPasswordPolicy } from '../config/security.js';
+
+// Check a plaintext password against the configured policy
+// Returns a list of error messages, empty when the password is acceptable
+export const validatePassword = (password, user = {}) => {
+  const policy = getPasswordPolicy();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  if (policy.disallowUsername && user.username
+    && password.toLowerCase().includes(user.username.toLowerCase())) {
+    errors.push('Password must not contain the username');
+  }
+
+  return errors;
+};
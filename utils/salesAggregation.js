@@ -0,0 +1,513 @@
+import HeaderSales from '../models/HeaderSales.js';
+import Pharmacy from '../models/Pharmacy.js';
+import CashierAlias from '../models/CashierAlias.js';
+import { SALES_CHANNELS } from '../models/InvoiceTypeDefinition.js';
+import { applyStoreScope } from './apiKeys.js';
+import { getInvoiceTypeDefinitions, findUnmappedInvoiceTypes } from './invoiceTypes.js';
+
+export const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Sort rows by Year then calendar month
+export const compareYearMonth = (a, b) => (a.Year - b.Year) || (MONTHS.indexOf(a.Month) - MONTHS.indexOf(b.Month));
+
+// Round an amount to two decimals
+export const round = (value) => Math.round(value * 100) / 100;
+
+// Returns as a percentage of gross sales
+export const computeReturnRate = (gross, returns) => (gross > 0 ? round((returns / gross) * 100) : 0);
+
+// Derive every sales metric from the accumulated gross, returns and counts
+// Return invoices are stored with positive amounts, so net sales are gross sales less returns
+// The average invoice is the gross sales per sale invoice
+export const computeSalesMetrics = ({ gross, returns, saleCount, returnCount }) => ({
+  net: gross - returns,
+  gross,
+  returns,
+  returnRate: computeReturnRate(gross, returns),
+  invoiceCount: saleCount + returnCount,
+  averageInvoice: saleCount > 0 ? round(gross / saleCount) : 0,
+});
+
+// Monthly report of one or more channels with a column per group of invoice types, plus the gross sales,
+// returns, net sales and return rate of each month
+// columnFor(definition) names the column an invoice type is added to, e.g. the invoice type itself
+// or "ReturnWasfaty" for every Wasfaty return type
+// Invoice types without a definition in the same year and stores are listed as unmappedInvoiceTypes
+export const buildChannelMonthlyReport = async (req, channels, columnFor) => {
+  const { Year } = req.query;
+
+  const definitions = await getInvoiceTypeDefinitions(channels);
+  const invoiceTypes = definitions.map(definition => definition.invoiceType);
+  const columnByType = new Map(definitions.map(definition => [definition.invoiceType, columnFor(definition)]));
+  const columns = [...new Set(definitions.map(columnFor))];
+
+  // Build match query
+  const storeQuery = applyStoreScope(req, {});
+  const scopeQuery = Year ? { ...storeQuery, Year: parseInt(Year) } : storeQuery;
+  const matchQuery = { ...scopeQuery, InvoiceType: { $in: invoiceTypes } };
+
+  // Sum per month and invoice type, then pivot the invoice types into columns
+  const totals = invoiceTypes.length > 0
+    ? await HeaderSales.aggregate([
+      { $match: matchQuery },
+      {
+        $group: {
+          _id: { Year: '$Year', Month: '$Month', InvoiceType: '$InvoiceType' },
+          total: { $sum: '$TotalAmountAfterDiscount' },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    : [];
+
+  const signByType = new Map(definitions.map(definition => [definition.invoiceType, definition.sign]));
+  const emptyColumns = () => Object.fromEntries(columns.map(column => [column, 0]));
+  const rowsByMonth = new Map();
+
+  totals.forEach(({ _id, total, count }) => {
+    const monthKey = `${_id.Year}-${_id.Month}`;
+    if (!rowsByMonth.has(monthKey)) {
+      rowsByMonth.set(monthKey, { Year: _id.Year, Month: _id.Month, ...emptyColumns(), gross: 0, returns: 0, totalCount: 0 });
+    }
+    const row = rowsByMonth.get(monthKey);
+    row[columnByType.get(_id.InvoiceType)] += total;
+    row[signByType.get(_id.InvoiceType) === 'return' ? 'returns' : 'gross'] += total;
+    row.totalCount += count;
+  });
+
+  // Total keeps its original meaning, the sum of every column; net sales subtract the returns instead
+  const withNetSales = (row) => ({
+    ...row,
+    net: row.gross - row.returns,
+    returnRate: computeReturnRate(row.gross, row.returns),
+    Total: row.gross + row.returns,
+  });
+
+  const data = [...rowsByMonth.values()].sort(compareYearMonth).map(withNetSales);
+
+  // Calculate grand totals for all months
+  const grandTotals = withNetSales(data.reduce((acc, row) => {
+    [...columns, 'gross', 'returns', 'totalCount'].forEach(column => {
+      acc[column] += row[column];
+    });
+    return acc;
+  }, { ...emptyColumns(), gross: 0, returns: 0, totalCount: 0 }));
+
+  // Get all available years for the filter (only where the channel has sales in the stores the request may see)
+  const availableYears = invoiceTypes.length > 0
+    ? await HeaderSales.distinct('Year', { ...storeQuery, InvoiceType: { $in: invoiceTypes } })
+    : [];
+
+  return {
+    data,
+    grandTotals,
+    availableYears: availableYears.sort((a, b) => b - a),
+    selectedYear: Year ? parseInt(Year) : null,
+    invoiceTypes: definitions.map(({ invoiceType, label, sign }) => ({
+      invoiceType,
+      label,
+      sign,
+      column: columnByType.get(invoiceType),
+    })),
+    unmappedInvoiceTypes: await findUnmappedInvoiceTypes(scopeQuery),
+  };
+};
+
+// Dimensions a sales breakdown can be grouped by, with the expression each one groups on
+// Invoice types without a definition are reported under the "unmapped" channel
+export const BREAKDOWN_DIMENSIONS = {
+  year: () => '$Year',
+  month: () => '$Month',
+  week: () => ({ $dateToString: { format: '%G-W%V', date: '$Date' } }),
+  day: () => ({ $dateToString: { format: '%Y-%m-%d', date: '$Date' } }),
+  hour: () => ({ $toInt: { $arrayElemAt: [{ $split: ['$Time', ':'] }, 0] } }),
+  StoreCode: () => '$StoreCode',
+  InvoiceType: () => '$InvoiceType',
+  UserName: () => '$UserName',
+  channel: (definitions) => ({
+    $switch: {
+      branches: SALES_CHANNELS.map(channel => ({
+        case: {
+          $in: [
+            '$InvoiceType',
+            definitions.filter(definition => definition.channel === channel).map(definition => definition.invoiceType),
+          ],
+        },
+        then: channel,
+      })),
+      default: 'unmapped',
+    },
+  }),
+};
+
+export const BREAKDOWN_METRICS = ['net', 'gross', 'returns', 'returnRate', 'invoiceCount', 'averageInvoice'];
+
+// Split a comma separated query value (or repeated query parameter) into a list
+export const parseList = (value) => [value].flat()
+  .filter(item => item !== undefined)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Build the HeaderSales match query for the filters shared by the sales reports:
+// StoreCode (comma separated), from/to (inclusive invoice dates), Year, Month, InvoiceType and channel
+// Pass includeDates: false when the caller sets the date range itself
+// Returns { matchQuery, errors }
+export const buildSalesMatch = (req, definitions, { includeDates = true } = {}) => {
+  const { StoreCode, InvoiceType, channel } = req.query;
+  const { from, to, Year, Month } = includeDates ? req.query : {};
+  const matchQuery = {};
+  const errors = [];
+
+  const storeCodes = parseList(StoreCode).map(Number);
+  if (storeCodes.some(Number.isNaN)) {
+    errors.push('StoreCode must be a number or a comma separated list of numbers');
+  } else if (storeCodes.length === 1) {
+    matchQuery.StoreCode = storeCodes[0];
+  } else if (storeCodes.length > 1) {
+    matchQuery.StoreCode = { $in: storeCodes };
+  }
+  applyStoreScope(req, matchQuery);
+
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if (fromDate && Number.isNaN(fromDate.getTime())) {
+      errors.push(`Invalid from date: ${from}`);
+    }
+    if (toDate && Number.isNaN(toDate.getTime())) {
+      errors.push(`Invalid to date: ${to}`);
+    }
+
+    matchQuery.Date = {};
+    if (fromDate) {
+      matchQuery.Date.$gte = fromDate;
+    }
+    if (toDate) {
+      matchQuery.Date.$lte = toDate;
+    }
+  }
+
+  if (Year) {
+    matchQuery.Year = parseInt(Year);
+  }
+
+  if (Month) {
+    matchQuery.Month = Month;
+  }
+
+  const invoiceTypes = parseList(InvoiceType);
+  const channels = parseList(channel);
+  const unknownChannels = channels.filter(name => !SALES_CHANNELS.includes(name));
+  if (unknownChannels.length > 0) {
+    errors.push(`Unknown channel: ${unknownChannels.join(', ')}. Allowed: ${SALES_CHANNELS.join(', ')}`);
+  } else if (channels.length > 0) {
+    const channelTypes = definitions
+      .filter(definition => channels.includes(definition.channel))
+      .map(definition => definition.invoiceType);
+    matchQuery.InvoiceType = {
+      $in: invoiceTypes.length > 0 ? invoiceTypes.filter(type => channelTypes.includes(type)) : channelTypes,
+    };
+  } else if (invoiceTypes.length > 0) {
+    matchQuery.InvoiceType = { $in: invoiceTypes };
+  }
+
+  return { matchQuery, errors };
+};
+
+// Invoice types without a definition are told apart by name, as suggestInvoiceTypeDefinition does
+const UNDEFINED_RETURN_PATTERN = /return/i;
+
+// Whether an invoice type is a return according to its definition, or its name when it has none
+export const isReturnInvoiceType = (definitions, invoiceType) => {
+  const definition = definitions.find(item => item.invoiceType === invoiceType);
+  return definition ? definition.sign === 'return' : UNDEFINED_RETURN_PATTERN.test(invoiceType ?? '');
+};
+
+// Aggregation expression of isReturnInvoiceType for the invoice type held in `field`
+export const isReturnInvoiceTypeExpression = (definitions, field = '$InvoiceType') => ({
+  $or: [
+    {
+      $in: [
+        field,
+        definitions.filter(definition => definition.sign === 'return').map(definition => definition.invoiceType),
+      ],
+    },
+    {
+      $and: [
+        { $not: [{ $in: [field, definitions.map(definition => definition.invoiceType)] }] },
+        { $regexMatch: { input: { $ifNull: [field, ''] }, regex: UNDEFINED_RETURN_PATTERN } },
+      ],
+    },
+  ],
+});
+
+// $group accumulators for gross sales, returns and invoice counts
+export const salesMetricAccumulators = (definitions) => {
+  const isReturn = isReturnInvoiceTypeExpression(definitions);
+
+  return {
+    gross: { $sum: { $cond: [isReturn, 0, '$TotalAmountAfterDiscount'] } },
+    returns: { $sum: { $cond: [isReturn, '$TotalAmountAfterDiscount', 0] } },
+    saleCount: { $sum: { $cond: [isReturn, 0, 1] } },
+    returnCount: { $sum: { $cond: [isReturn, 1, 0] } },
+  };
+};
+
+// Order values of a dimension: months in calendar order, everything else ascending
+const compareDimensionValues = (dimension) => (a, b) => {
+  if (dimension === 'month') {
+    return MONTHS.indexOf(a) - MONTHS.indexOf(b);
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a ?? '').localeCompare(String(b ?? ''));
+};
+
+// Sales totals grouped by any combination of BREAKDOWN_DIMENSIONS
+// Returns one row per group with the dimension values and the selected metrics, the totals
+// over every row and the sorted distinct values of each dimension, ready to pivot
+export const getSalesBreakdown = async (matchQuery, definitions, { groupBy, metrics }) => {
+  const groupId = Object.fromEntries(
+    groupBy.map(dimension => [dimension, BREAKDOWN_DIMENSIONS[dimension](definitions)])
+  );
+
+  const groups = await HeaderSales.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: groupBy.length > 0 ? groupId : null,
+        ...salesMetricAccumulators(definitions),
+      },
+    },
+  ]);
+
+  const pickMetrics = (values) => {
+    const computed = computeSalesMetrics(values);
+    return Object.fromEntries(metrics.map(metric => [metric, computed[metric]]));
+  };
+
+  const comparators = groupBy.map(dimension => [dimension, compareDimensionValues(dimension)]);
+  const rows = groups
+    .map(group => ({ ...group._id, ...pickMetrics(group) }))
+    .sort((a, b) => {
+      for (const [dimension, compare] of comparators) {
+        const result = compare(a[dimension], b[dimension]);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return 0;
+    });
+
+  const totals = groups.reduce((acc, group) => {
+    ['gross', 'returns', 'saleCount', 'returnCount'].forEach(field => {
+      acc[field] += group[field];
+    });
+    return acc;
+  }, { gross: 0, returns: 0, saleCount: 0, returnCount: 0 });
+
+  const dimensions = Object.fromEntries(comparators.map(([dimension, compare]) => [
+    dimension,
+    [...new Set(rows.map(row => row[dimension]))].sort(compare),
+  ]));
+
+  return {
+    groupBy,
+    metrics,
+    rows,
+    totals: pickMetrics(totals),
+    dimensions,
+  };
+};
+
+export const STORE_RANKING_METRICS = ['net', 'invoiceCount', 'averageInvoice'];
+
+// Branches ranked by net sales, invoice count and average invoice (basket), sorted by sortBy
+// HeaderSales.StoreCode is matched to Pharmacy.branchCode; stores without a pharmacy have pharmacy: null
+// The supervisor is named only, unless includeContacts adds their email and phone
+export const getStoreLeaderboard = async (matchQuery, definitions, { sortBy = 'net', includeContacts = false } = {}) => {
+  const groups = await HeaderSales.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: '$StoreCode',
+        ...salesMetricAccumulators(definitions),
+      },
+    },
+  ]);
+
+  const storeCodes = groups.map(group => group._id);
+  const pharmacies = await Pharmacy.find({ branchCode: { $in: storeCodes } })
+    .select('branchCode name address.city isActive supervisor')
+    .populate('supervisor', includeContacts ? 'firstName lastName username email phone' : 'firstName lastName username')
+    .lean();
+  const pharmacyByCode = new Map(pharmacies.map(pharmacy => [pharmacy.branchCode, pharmacy]));
+
+  const stores = groups.map(group => {
+    const pharmacy = pharmacyByCode.get(group._id);
+    return {
+      StoreCode: group._id,
+      pharmacy: pharmacy
+        ? {
+          _id: pharmacy._id,
+          name: pharmacy.name,
+          city: pharmacy.address?.city,
+          isActive: pharmacy.isActive,
+          supervisor: pharmacy.supervisor ?? null,
+        }
+        : null,
+      ...computeSalesMetrics(group),
+      ranks: {},
+    };
+  });
+
+  // Rank 1 is the highest value of each metric
+  STORE_RANKING_METRICS.forEach(metric => {
+    [...stores]
+      .sort((a, b) => b[metric] - a[metric])
+      .forEach((store, index) => {
+        store.ranks[metric] = index + 1;
+      });
+  });
+
+  return {
+    stores: stores.sort((a, b) => a.ranks[sortBy] - b.ranks[sortBy]),
+    unmatchedStoreCodes: stores
+      .filter(store => !store.pharmacy)
+      .map(store => store.StoreCode)
+      .sort((a, b) => a - b),
+  };
+};
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Heatmap bucket sizes that divide a day evenly
+export const HEATMAP_BUCKET_MINUTES = [15, 30, 60, 120, 180, 240, 360, 720];
+
+const formatMinutes = (minutes) => (
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+);
+
+// Invoice count and sales per weekday x time-of-day bucket, from the invoice Date and HH:MM Time
+// Every cell of the grid is returned, with zeros where there were no invoices. The busiest and
+// quietest slots are ranked by invoice count; slots without invoices (closed hours) are not
+// counted as quiet.
+export const getSalesHeatmap = async (matchQuery, definitions, { bucketMinutes = 60, slots = 5 } = {}) => {
+  const minutesOfDay = {
+    $add: [
+      { $multiply: [{ $toInt: { $arrayElemAt: [{ $split: ['$Time', ':'] }, 0] } }, 60] },
+      { $toInt: { $arrayElemAt: [{ $split: ['$Time', ':'] }, 1] } },
+    ],
+  };
+
+  const groups = await HeaderSales.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: {
+          // $dayOfWeek is 1 for Sunday
+          weekday: { $subtract: [{ $dayOfWeek: '$Date' }, 1] },
+          bucket: { $floor: { $divide: [minutesOfDay, bucketMinutes] } },
+        },
+        ...salesMetricAccumulators(definitions),
+      },
+    },
+  ]);
+
+  const groupByCell = new Map(groups.map(group => [`${group._id.weekday}-${group._id.bucket}`, group]));
+  const bucketCount = (24 * 60) / bucketMinutes;
+
+  const cells = WEEKDAYS.flatMap((weekdayName, weekday) => Array.from({ length: bucketCount }, (_, bucket) => {
+    const group = groupByCell.get(`${weekday}-${bucket}`) ?? { gross: 0, returns: 0, saleCount: 0, returnCount: 0 };
+    const { net, gross, returns, invoiceCount } = computeSalesMetrics(group);
+    return {
+      weekday,
+      weekdayName,
+      bucket,
+      start: formatMinutes(bucket * bucketMinutes),
+      end: formatMinutes((bucket + 1) * bucketMinutes),
+      invoiceCount,
+      net,
+      gross,
+      returns,
+    };
+  }));
+
+  const activeCells = cells.filter(cell => cell.invoiceCount > 0);
+  const byTraffic = [...activeCells].sort((a, b) => (b.invoiceCount - a.invoiceCount) || (b.net - a.net));
+
+  return {
+    bucketMinutes,
+    weekdays: WEEKDAYS,
+    buckets: Array.from({ length: bucketCount }, (_, bucket) => formatMinutes(bucket * bucketMinutes)),
+    cells,
+    busiest: byTraffic.slice(0, slots),
+    quietest: byTraffic.slice(-slots).reverse(),
+  };
+};
+
+// Per-cashier (HeaderSales.UserName) sales, returns and share of invoices per channel, sorted by net sales
+// Cashiers linked to a User account through CashierAlias carry that user; the others have user: null
+// The user is named only, unless includeContacts adds their email
+export const getCashierReport = async (matchQuery, definitions, { includeContacts = false } = {}) => {
+  const groups = await HeaderSales.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: { UserName: '$UserName', channel: BREAKDOWN_DIMENSIONS.channel(definitions) },
+        ...salesMetricAccumulators(definitions),
+        stores: { $addToSet: '$StoreCode' },
+      },
+    },
+  ]);
+
+  const cashiers = new Map();
+  groups.forEach(({ _id, stores, ...totals }) => {
+    if (!cashiers.has(_id.UserName)) {
+      cashiers.set(_id.UserName, {
+        gross: 0,
+        returns: 0,
+        saleCount: 0,
+        returnCount: 0,
+        stores: new Set(),
+        channelCounts: Object.fromEntries(SALES_CHANNELS.map(channel => [channel, 0])),
+      });
+    }
+    const cashier = cashiers.get(_id.UserName);
+    ['gross', 'returns', 'saleCount', 'returnCount'].forEach(field => {
+      cashier[field] += totals[field];
+    });
+    stores.forEach(storeCode => cashier.stores.add(storeCode));
+    cashier.channelCounts[_id.channel] = (cashier.channelCounts[_id.channel] ?? 0) + totals.saleCount + totals.returnCount;
+  });
+
+  const aliases = await CashierAlias.find({ userName: { $in: [...cashiers.keys()] } })
+    .populate('user', includeContacts ? 'firstName lastName username email' : 'firstName lastName username')
+    .lean();
+  const userByName = new Map(aliases.map(alias => [alias.userName, alias.user]));
+
+  return [...cashiers.entries()]
+    .map(([UserName, cashier]) => {
+      const { net, gross, returns, returnRate, invoiceCount, averageInvoice } = computeSalesMetrics(cashier);
+      return {
+        UserName,
+        user: userByName.get(UserName) ?? null,
+        stores: [...cashier.stores].sort((a, b) => a - b),
+        invoiceCount,
+        net,
+        gross,
+        averageInvoice,
+        returnCount: cashier.returnCount,
+        returns,
+        returnRate,
+        // Percentage of the cashier's invoices in each channel
+        channelShare: Object.fromEntries(Object.entries(cashier.channelCounts).map(([channel, count]) => (
+          [channel, round((count / invoiceCount) * 100)]
+        ))),
+      };
+    })
+    .sort((a, b) => b.net - a.net);
+};
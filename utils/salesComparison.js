@@ -0,0 +1,235 @@
+import HeaderSales from '../models/HeaderSales.js';
+import { SALES_CHANNELS } from '../models/InvoiceTypeDefinition.js';
+import {
+  MONTHS,
+  BREAKDOWN_DIMENSIONS,
+  salesMetricAccumulators,
+  computeSalesMetrics,
+} from './salesAggregation.js';
+
+export const COMPARISON_PERIODS = ['month', 'quarter', 'ytd', 'custom'];
+export const COMPARE_WITH = ['previousYear', 'previousPeriod'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const utcDate = (year, monthIndex, day) => new Date(Date.UTC(year, monthIndex, day));
+
+// Move a date by whole months, keeping the day where the target month has it (31 Mar - 1 month = 28/29 Feb)
+const shiftMonths = (date, months) => {
+  const target = utcDate(date.getUTCFullYear(), date.getUTCMonth() + months, 1);
+  const lastDay = utcDate(target.getUTCFullYear(), target.getUTCMonth() + 1, 0).getUTCDate();
+  return utcDate(target.getUTCFullYear(), target.getUTCMonth(), Math.min(date.getUTCDate(), lastDay));
+};
+
+const startOfDay = (date) => utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+// Month name ("Mar") or number (3) to a 0-based month index, or -1
+const parseMonthIndex = (value) => {
+  const byName = MONTHS.indexOf(value);
+  if (byName !== -1) {
+    return byName;
+  }
+  const number = parseInt(value);
+  return number >= 1 && number <= 12 ? number - 1 : -1;
+};
+
+// Resolve the current and previous date ranges (inclusive days) of a comparison query
+// period: month (Year, Month), quarter (Year, quarter), ytd (to, default today or the end of Year) or custom (from, to)
+// compareWith: previousYear (same dates one year earlier) or previousPeriod (the range right before)
+// monthShift is the number of months between the ranges, or null when they do not line up by month
+export const resolveComparisonPeriods = (query, today = new Date()) => {
+  const { period = 'month', compareWith = 'previousYear', Year, Month, quarter, from, to } = query;
+  const errors = [];
+
+  if (!COMPARISON_PERIODS.includes(period)) {
+    errors.push(`Unknown period: ${period}. Allowed: ${COMPARISON_PERIODS.join(', ')}`);
+  }
+  if (!COMPARE_WITH.includes(compareWith)) {
+    errors.push(`Unknown compareWith: ${compareWith}. Allowed: ${COMPARE_WITH.join(', ')}`);
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const year = Year ? parseInt(Year) : today.getUTCFullYear();
+  if (Number.isNaN(year)) {
+    return { errors: [`Invalid Year: ${Year}`] };
+  }
+
+  let current;
+  let periodMonths = null;
+
+  if (period === 'month') {
+    const monthIndex = Month ? parseMonthIndex(Month) : today.getUTCMonth();
+    if (monthIndex === -1) {
+      return { errors: [`Invalid Month: ${Month}`] };
+    }
+    current = { from: utcDate(year, monthIndex, 1), to: utcDate(year, monthIndex + 1, 0) };
+    periodMonths = 1;
+  } else if (period === 'quarter') {
+    const quarterNumber = quarter ? parseInt(quarter) : Math.floor(today.getUTCMonth() / 3) + 1;
+    if (!(quarterNumber >= 1 && quarterNumber <= 4)) {
+      return { errors: [`Invalid quarter: ${quarter}. Must be 1 to 4`] };
+    }
+    const firstMonth = (quarterNumber - 1) * 3;
+    current = { from: utcDate(year, firstMonth, 1), to: utcDate(year, firstMonth + 3, 0) };
+    periodMonths = 3;
+  } else if (period === 'ytd') {
+    // A past Year without a to date covers the whole year
+    const end = to ? new Date(to) : (year < today.getUTCFullYear() ? utcDate(year, 11, 31) : today);
+    if (Number.isNaN(end.getTime())) {
+      return { errors: [`Invalid to date: ${to}`] };
+    }
+    current = { from: utcDate(end.getUTCFullYear(), 0, 1), to: startOfDay(end) };
+    // The period before a year to date is the same dates one year earlier
+    periodMonths = 12;
+  } else {
+    const start = from ? new Date(from) : null;
+    const end = to ? new Date(to) : null;
+    if (!start || Number.isNaN(start.getTime()) || !end || Number.isNaN(end.getTime())) {
+      return { errors: ['A custom period needs valid from and to dates'] };
+    }
+    if (start > end) {
+      return { errors: ['from must be on or before to'] };
+    }
+    current = { from: startOfDay(start), to: startOfDay(end) };
+  }
+
+  let previous;
+  let monthShift;
+
+  if (compareWith === 'previousYear' || periodMonths) {
+    monthShift = compareWith === 'previousYear' ? 12 : periodMonths;
+    previous = { from: shiftMonths(current.from, -monthShift), to: shiftMonths(current.to, -monthShift) };
+    // Whole months stay whole months, e.g. February of a leap year against February before it
+    if (period === 'month' || period === 'quarter') {
+      previous.to = utcDate(previous.to.getUTCFullYear(), previous.to.getUTCMonth() + 1, 0);
+    }
+  } else {
+    // Custom range against the range of the same length ending the day before it
+    const days = Math.round((current.to - current.from) / DAY_MS) + 1;
+    previous = {
+      from: new Date(current.from.getTime() - days * DAY_MS),
+      to: new Date(current.from.getTime() - DAY_MS),
+    };
+    monthShift = null;
+  }
+
+  return { errors, period, compareWith, current, previous, monthShift };
+};
+
+const emptyTotals = () => ({ gross: 0, returns: 0, saleCount: 0, returnCount: 0 });
+
+const addTotals = (target, values) => {
+  target.gross += values.gross;
+  target.returns += values.returns;
+  target.saleCount += values.saleCount;
+  target.returnCount += values.returnCount;
+  return target;
+};
+
+// Sum aggregation groups into a Map keyed by keyFor(group)
+const sumBy = (groups, keyFor) => groups.reduce((totals, group) => {
+  const key = keyFor(group);
+  totals.set(key, addTotals(totals.get(key) ?? emptyTotals(), group));
+  return totals;
+}, new Map());
+
+// Absolute and percentage change; the percentage is null when there is nothing to compare against
+const changeOf = (current, previous) => ({
+  absolute: Math.round((current - previous) * 100) / 100,
+  percent: previous !== 0 ? Math.round(((current - previous) / Math.abs(previous)) * 10000) / 100 : null,
+});
+
+// Metrics of both periods and the change of each metric; missing totals count as zero
+const compareTotals = (currentTotals = emptyTotals(), previousTotals = emptyTotals()) => {
+  const current = computeSalesMetrics(currentTotals);
+  const previous = computeSalesMetrics(previousTotals);
+
+  return {
+    current,
+    previous,
+    change: Object.fromEntries(Object.keys(current).map(metric => [metric, changeOf(current[metric], previous[metric])])),
+  };
+};
+
+// Sales per store, channel and calendar month within a date range
+const aggregateRange = (matchQuery, definitions, range) => HeaderSales.aggregate([
+  {
+    $match: {
+      ...matchQuery,
+      Date: { $gte: range.from, $lt: new Date(range.to.getTime() + DAY_MS) },
+    },
+  },
+  {
+    $group: {
+      _id: {
+        StoreCode: '$StoreCode',
+        channel: BREAKDOWN_DIMENSIONS.channel(definitions),
+        year: { $year: '$Date' },
+        month: { $month: '$Date' },
+      },
+      ...salesMetricAccumulators(definitions),
+    },
+  },
+]);
+
+// Compare the sales of two resolved periods in total, per store, per channel and per month
+// Stores, channels and months without sales in one of the periods are reported with zeros
+export const compareSalesPeriods = async (matchQuery, definitions, periods) => {
+  const { current, previous, monthShift } = periods;
+
+  const [currentGroups, previousGroups] = await Promise.all([
+    aggregateRange(matchQuery, definitions, current),
+    aggregateRange(matchQuery, definitions, previous),
+  ]);
+
+  // keyFor(group, isPrevious) names the row a group of either period is added to
+  const compareBy = (keyFor) => {
+    const currentTotals = sumBy(currentGroups, group => keyFor(group, false));
+    const previousTotals = sumBy(previousGroups, group => keyFor(group, true));
+    const keys = [...new Set([...currentTotals.keys(), ...previousTotals.keys()])];
+    return { keys, compare: key => compareTotals(currentTotals.get(key), previousTotals.get(key)) };
+  };
+
+  const stores = compareBy(group => group._id.StoreCode);
+  const byStore = stores.keys
+    .sort((a, b) => a - b)
+    .map(StoreCode => ({ StoreCode, ...stores.compare(StoreCode) }));
+
+  const channels = compareBy(group => group._id.channel);
+  const byChannel = [...new Set([...SALES_CHANNELS, ...channels.keys])]
+    .map(channel => ({ channel, ...channels.compare(channel) }));
+
+  // Every month of the current range against the month monthShift months before it
+  let byMonth = null;
+  if (monthShift !== null) {
+    const months = compareBy((group, isPrevious) => (
+      (group._id.year * 12) + (group._id.month - 1) + (isPrevious ? monthShift : 0)
+    ));
+
+    const firstMonth = (current.from.getUTCFullYear() * 12) + current.from.getUTCMonth();
+    const lastMonth = (current.to.getUTCFullYear() * 12) + current.to.getUTCMonth();
+
+    byMonth = [];
+    for (let month = firstMonth; month <= lastMonth; month++) {
+      const previousMonth = month - monthShift;
+      byMonth.push({
+        Year: Math.floor(month / 12),
+        Month: MONTHS[month % 12],
+        previousYear: Math.floor(previousMonth / 12),
+        previousMonth: MONTHS[previousMonth % 12],
+        ...months.compare(month),
+      });
+    }
+  }
+
+  const all = compareBy(() => 'all');
+
+  return {
+    totals: all.compare('all'),
+    byStore,
+    byChannel,
+    byMonth,
+  };
+};
@@ -0,0 +1,111 @@
+import HeaderSales from '../models/HeaderSales.js';
+import { round, isReturnInvoiceType, isReturnInvoiceTypeExpression } from './salesAggregation.js';
+
+// Rounding differences below this amount are not reported as mismatches
+export const LINE_TOTAL_TOLERANCE = 0.01;
+
+// Query for the lines of an invoice
+export const invoiceLinesQuery = (headerSale) => ({
+  StoreCode: headerSale.StoreCode,
+  InvoiceNumber: headerSale.InvoiceNumber,
+  InvoiceType: headerSale.InvoiceType,
+});
+
+// Compare an invoice's total with the sum of its lines
+// Returned lines are subtracted on a sale invoice; on a return invoice they are the total and sold lines are subtracted
+export const compareLineTotals = (headerSale, lines, definitions) => {
+  const isReturn = isReturnInvoiceType(definitions, headerSale.InvoiceType);
+  const linesTotal = round(lines.reduce((sum, line) => (
+    sum + (Boolean(line.Returned) === isReturn ? 1 : -1) * (line.LineTotal || 0)
+  ), 0));
+  const difference = round(headerSale.TotalAmountAfterDiscount - linesTotal);
+
+  return {
+    headerTotal: headerSale.TotalAmountAfterDiscount,
+    linesTotal,
+    lineCount: lines.length,
+    difference,
+    consistent: lines.length > 0 && Math.abs(difference) < LINE_TOTAL_TOLERANCE,
+  };
+};
+
+// Find invoices matching a HeaderSales query whose lines do not add up to the invoice total
+// Invoices without any lines are counted separately since lines may not be imported yet
+// Lines are signed as in compareLineTotals
+export const findLineTotalMismatches = async (matchQuery, definitions, { limit = 100 } = {}) => {
+  const mismatchMatch = {
+    lineCount: { $gt: 0 },
+    $expr: { $gte: [{ $abs: '$difference' }, LINE_TOTAL_TOLERANCE] },
+  };
+
+  const [result] = await HeaderSales.aggregate([
+    { $match: matchQuery },
+    {
+      $lookup: {
+        from: 'saleslines',
+        let: {
+          storeCode: '$StoreCode',
+          invoiceNumber: '$InvoiceNumber',
+          invoiceType: '$InvoiceType',
+          isReturn: isReturnInvoiceTypeExpression(definitions),
+        },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$StoreCode', '$$storeCode'] },
+                  { $eq: ['$InvoiceNumber', '$$invoiceNumber'] },
+                  { $eq: ['$InvoiceType', '$$invoiceType'] },
+                ],
+              },
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              linesTotal: {
+                $sum: {
+                  $cond: [
+                    { $eq: [{ $eq: [{ $ifNull: ['$Returned', false] }, true] }, '$$isReturn'] },
+                    '$LineTotal',
+                    { $multiply: ['$LineTotal', -1] },
+                  ],
+                },
+              },
+              lineCount: { $sum: 1 },
+            },
+          },
+        ],
+        as: 'lines',
+      },
+    },
+    {
+      $project: {
+        StoreCode: 1,
+        InvoiceNumber: 1,
+        InvoiceType: 1,
+        Date: 1,
+        headerTotal: '$TotalAmountAfterDiscount',
+        linesTotal: { $round: [{ $ifNull: [{ $first: '$lines.linesTotal' }, 0] }, 2] },
+        lineCount: { $ifNull: [{ $first: '$lines.lineCount' }, 0] },
+      },
+    },
+    { $addFields: { difference: { $round: [{ $subtract: ['$headerTotal', '$linesTotal'] }, 2] } } },
+    {
+      $facet: {
+        checked: [{ $count: 'count' }],
+        withoutLines: [{ $match: { lineCount: 0 } }, { $count: 'count' }],
+        mismatchCount: [{ $match: mismatchMatch }, { $count: 'count' }],
+        mismatches: [{ $match: mismatchMatch }, { $sort: { Date: -1 } }, { $limit: limit }],
+      },
+    },
+  ]);
+
+  return {
+    checked: result.checked[0]?.count || 0,
+    withoutLines: result.withoutLines[0]?.count || 0,
+    mismatchCount: result.mismatchCount[0]?.count || 0,
+    mismatches: result.mismatches,
+  };
+};
@@ -0,0 +1,181 @@
+import SalesTarget from '../models/SalesTarget.js';
+import HeaderSales from '../models/HeaderSales.js';
+import Pharmacy from '../models/Pharmacy.js';
+import {
+  MONTHS,
+  round,
+  BREAKDOWN_DIMENSIONS,
+  salesMetricAccumulators,
+  computeSalesMetrics,
+} from './salesAggregation.js';
+
+const keyOf = (target) => `${target.StoreCode}|${target.Year}|${target.Month}|${target.channel}`;
+
+// Link new targets to their pharmacies with one query per field, as the validate hook would one by one:
+// the pharmacy of the StoreCode when there is one, otherwise the StoreCode of the pharmacy
+// Targets naming an unknown pharmacy are left to the hook, which reports them
+const linkPharmacies = async (docs) => {
+  const hasStoreCode = (doc) => doc.StoreCode !== undefined && doc.StoreCode !== null;
+  const storeCodes = docs.filter(hasStoreCode).map(doc => doc.StoreCode);
+  const pharmacyIds = docs.filter(doc => !hasStoreCode(doc) && doc.pharmacy).map(doc => doc.pharmacy);
+
+  const [byBranchCode, byId] = await Promise.all([
+    storeCodes.length > 0 ? Pharmacy.find({ branchCode: { $in: storeCodes } }).select('_id branchCode') : [],
+    pharmacyIds.length > 0 ? Pharmacy.find({ _id: { $in: pharmacyIds } }).select('_id branchCode') : [],
+  ]);
+  const pharmacyByBranchCode = new Map(byBranchCode.map(pharmacy => [pharmacy.branchCode, pharmacy]));
+  const pharmacyById = new Map(byId.map(pharmacy => [pharmacy._id.toString(), pharmacy]));
+
+  docs.forEach(doc => {
+    if (hasStoreCode(doc)) {
+      doc.pharmacy = pharmacyByBranchCode.get(doc.StoreCode)?._id;
+      doc.$locals.pharmacyLinked = true;
+    } else if (doc.pharmacy && pharmacyById.has(doc.pharmacy.toString())) {
+      doc.StoreCode = pharmacyById.get(doc.pharmacy.toString()).branchCode;
+      doc.$locals.pharmacyLinked = true;
+    }
+  });
+};
+
+// Create new targets and replace the amount of existing ones, keyed on StoreCode + Year + Month + channel
+// Returns a summary and the outcome of every row: inserted, updated or failed
+export const upsertSalesTargets = async (items, createdBy) => {
+  const rows = items.map((item, index) => ({ index, status: null }));
+  const candidates = [];
+  const seenKeys = new Map();
+
+  const docs = items.map(item => new SalesTarget(item));
+  await linkPharmacies(docs);
+
+  // Validate each row the same way a create would
+  for (const [index, doc] of docs.entries()) {
+    try {
+      await doc.validate();
+    } catch (error) {
+      rows[index].status = 'failed';
+      rows[index].error = error.errors
+        ? Object.values(error.errors).map(err => err.message).join(', ')
+        : error.message;
+      continue;
+    }
+
+    const key = keyOf(doc);
+    if (seenKeys.has(key)) {
+      rows[index].status = 'failed';
+      rows[index].error = 'Duplicate of an earlier row in this upload';
+      rows[index].duplicateOf = seenKeys.get(key);
+      continue;
+    }
+
+    seenKeys.set(key, index);
+    candidates.push({ index, doc });
+  }
+
+  if (candidates.length > 0) {
+    // Unordered, so one failing row does not stop the others; the rows that failed are reported as such
+    let upserted;
+    const errorByOperation = new Map();
+    try {
+      const result = await SalesTarget.bulkWrite(candidates.map(({ doc }) => ({
+        updateOne: {
+          filter: { StoreCode: doc.StoreCode, Year: doc.Year, Month: doc.Month, channel: doc.channel },
+          update: {
+            $set: { amount: doc.amount, pharmacy: doc.pharmacy },
+            $setOnInsert: { createdBy },
+          },
+          upsert: true,
+        },
+      })), { ordered: false });
+      upserted = result.upsertedIds;
+    } catch (error) {
+      if (!error.writeErrors) {
+        throw error;
+      }
+      // The driver reports a single write error as an object rather than an array
+      [error.writeErrors].flat().forEach(writeError => errorByOperation.set(writeError.index, writeError.errmsg));
+      upserted = error.upsertedIds;
+    }
+
+    candidates.forEach(({ index }, operationIndex) => {
+      if (errorByOperation.has(operationIndex)) {
+        rows[index].status = 'failed';
+        rows[index].error = errorByOperation.get(operationIndex);
+        return;
+      }
+      rows[index].status = upserted?.[operationIndex] ? 'inserted' : 'updated';
+    });
+  }
+
+  const count = (status) => rows.filter(row => row.status === status).length;
+
+  return {
+    summary: { inserted: count('inserted'), updated: count('updated'), failed: count('failed') },
+    rows,
+  };
+};
+
+// Days of a month and how many of them have passed on `today` (today counts as passed)
+export const getMonthProgress = (Year, Month, today = new Date()) => {
+  const monthIndex = MONTHS.indexOf(Month);
+  const start = new Date(Date.UTC(Year, monthIndex, 1));
+  const end = new Date(Date.UTC(Year, monthIndex + 1, 1));
+  const daysInMonth = new Date(Date.UTC(Year, monthIndex + 1, 0)).getUTCDate();
+
+  let daysElapsed = daysInMonth;
+  if (today < start) {
+    daysElapsed = 0;
+  } else if (today < end) {
+    daysElapsed = today.getUTCDate();
+  }
+
+  return { daysInMonth, daysElapsed };
+};
+
+// Compare each target of a month with the actual net sales of its branch and channel
+// The projection extends the run-rate so far to the whole month
+export const getTargetAchievement = async (targets, definitions, { Year, Month, today = new Date() }) => {
+  const { daysInMonth, daysElapsed } = getMonthProgress(Year, Month, today);
+  const storeCodes = [...new Set(targets.map(target => target.StoreCode))];
+
+  const groups = storeCodes.length > 0
+    ? await HeaderSales.aggregate([
+      { $match: { Year, Month, StoreCode: { $in: storeCodes } } },
+      {
+        $group: {
+          _id: { StoreCode: '$StoreCode', channel: BREAKDOWN_DIMENSIONS.channel(definitions) },
+          ...salesMetricAccumulators(definitions),
+        },
+      },
+    ])
+    : [];
+
+  // Net sales per store and channel, plus every channel together under "all"
+  const actualByKey = new Map();
+  groups.forEach(({ _id, ...totals }) => {
+    const { net } = computeSalesMetrics(totals);
+    [_id.channel, 'all'].forEach(channel => {
+      const key = `${_id.StoreCode}|${channel}`;
+      actualByKey.set(key, (actualByKey.get(key) ?? 0) + net);
+    });
+  });
+
+  const rows = targets.map(target => {
+    const actual = actualByKey.get(`${target.StoreCode}|${target.channel}`) ?? 0;
+    const projected = daysElapsed > 0 ? round((actual / daysElapsed) * daysInMonth) : 0;
+
+    return {
+      _id: target._id,
+      StoreCode: target.StoreCode,
+      pharmacy: target.pharmacy ?? null,
+      channel: target.channel,
+      target: target.amount,
+      actual,
+      achievement: target.amount > 0 ? round((actual / target.amount) * 100) : null,
+      gap: round(Math.max(target.amount - actual, 0)),
+      projected,
+      projectedAchievement: target.amount > 0 ? round((projected / target.amount) * 100) : null,
+    };
+  });
+
+  return { Year, Month, daysInMonth, daysElapsed, rows };
+};
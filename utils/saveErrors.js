@@ -0,0 +1,33 @@
+// Respond to a mongoose error raised while creating or updating a document
+// entity names the document in the generic error; duplicate is the response to a unique index clash
+export const sendSaveError = (res, error, action, { entity, duplicate }) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages,
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid id',
+      error: error.message,
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      ...duplicate,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: `Error ${action} ${entity}`,
+    error: error.message,
+  });
+};
@@ -0,0 +1,67 @@
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { getRefreshTokenExpiresAt } from './tokens.js';
+
+// How often lastSeenAt is written, to avoid a database write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Start a session for a login; the device name defaults to the one sent in the request body
+export const createSession = (user, req, deviceName = req.body?.deviceName) => Session.create({
+  user: user._id,
+  deviceName: typeof deviceName === 'string' ? deviceName : undefined,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  lastSeenAt: new Date(),
+  lastSeenIp: req.ip,
+  expiresAt: getRefreshTokenExpiresAt(),
+});
+
+export const isSessionActive = (session) => Boolean(
+  session && !session.revokedAt && session.expiresAt > new Date()
+);
+
+// Record activity on a session
+export const touchSession = async (session, req) => {
+  if (Date.now() - new Date(session.lastSeenAt).getTime() < TOUCH_INTERVAL_MS) {
+    return;
+  }
+  await Session.updateOne(
+    { _id: session._id },
+    { $set: { lastSeenAt: new Date(), lastSeenIp: req.ip } }
+  );
+};
+
+// Revoke sessions matching a query along with their refresh tokens
+const revokeSessions = async (query, reason) => {
+  const sessions = await Session.find({ ...query, revokedAt: { $exists: false } }).select('_id');
+  const sessionIds = sessions.map(session => session._id);
+
+  if (sessionIds.length === 0) {
+    return 0;
+  }
+
+  const now = new Date();
+  await Session.updateMany(
+    { _id: { $in: sessionIds } },
+    { $set: { revokedAt: now, revokedReason: reason } }
+  );
+  await RefreshToken.updateMany(
+    { session: { $in: sessionIds }, revokedAt: { $exists: false } },
+    { $set: { revokedAt: now } }
+  );
+
+  return sessionIds.length;
+};
+
+// Revoke a single session
+export const revokeSession = (sessionId, reason) => revokeSessions({ _id: sessionId }, reason);
+
+// Revoke every session of a user, optionally keeping one (e.g. the current session)
+// Returns the number of sessions revoked
+export const revokeUserSessions = (userId, { reason, exceptSessionId } = {}) => {
+  const query = { user: userId };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return revokeSessions(query, reason);
+};
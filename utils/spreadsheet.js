@@ -0,0 +1,48 @@
+import path from 'path';
+import * as XLSX from 'xlsx';
+
+export const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+export const isSpreadsheetFile = (filename = '') => SPREADSHEET_EXTENSIONS.includes(
+  path.extname(filename).toLowerCase()
+);
+
+// Read the first sheet of a CSV or Excel file into header names and one record per row
+// Excel date cells come back as Date objects; CSV values are kept as text so that
+// dates like 05/01/2024 are not guessed in US order
+// maxRows stops reading after that many data rows, e.g. to check the headers of a large file
+export const readSpreadsheet = (buffer, filename, { maxRows } = {}) => {
+  const isCsv = path.extname(filename).toLowerCase() === '.csv';
+  // sheetRows counts the header row; 0 reads every row
+  const sheetRows = maxRows ? maxRows + 1 : 0;
+
+  const workbook = isCsv
+    // Decode as UTF-8 so Arabic headers survive, dropping the BOM Excel adds to CSV exports
+    ? XLSX.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true, sheetRows })
+    : XLSX.read(buffer, { type: 'buffer', cellDates: true, sheetRows });
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    return { headers: [], records: [] };
+  }
+
+  const [headerRow = [], ...dataRows] = XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    raw: true,
+    defval: '',
+    blankrows: false,
+  });
+
+  const headers = headerRow.map(header => String(header).trim());
+  const records = dataRows.map(values => Object.fromEntries(
+    headers.map((header, i) => [header, values[i] ?? ''])
+  ));
+
+  return { headers, records };
+};
+
+// Write rows of values as CSV text, with a BOM so Excel opens Arabic text correctly
+export const toCsv = (headers, rows) => {
+  const sheet = XLSX.utils.aoa_to_sheet([headers, ...rows], { cellDates: true, dateNF: 'yyyy-mm-dd' });
+  return `\uFEFF${XLSX.utils.sheet_to_csv(sheet)}`;
+};
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import Session from '../models/Session.js';
+
+// Access tokens are short lived; clients use the refresh token to get a new one
+const getAccessTokenExpiresIn = () => process.env.JWT_EXPIRES_IN || '15m';
+const getRefreshTokenExpiresDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7;
+
+export const getRefreshTokenExpiresAt = () => new Date(
+  Date.now() + getRefreshTokenExpiresDays() * 24 * 60 * 60 * 1000
+);
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Sign an access token for a user's session
+export const generateAccessToken = (user, session) => jwt.sign(
+  { id: user._id.toString(), sid: session._id.toString(), type: 'access' },
+  getSecret(),
+  { expiresIn: getAccessTokenExpiresIn() }
+);
+
+// Verify a token of the given type; throws TokenExpiredError / JsonWebTokenError on failure
+const verifyToken = (token, type) => {
+  const decoded = jwt.verify(token, getSecret());
+  if (decoded.type !== type) {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return decoded;
+};
+
+// Verify an access token; throws TokenExpiredError / JsonWebTokenError on failure
+export const verifyAccessToken = (token) => verifyToken(token, 'access');
+
+// Short-lived token proving the password step passed, exchanged for real tokens with a 2FA code
+export const generateTwoFactorChallenge = (user) => {
+  const challengeToken = jwt.sign(
+    { id: user._id.toString(), type: '2fa' },
+    getSecret(),
+    { expiresIn: '5m' }
+  );
+  const { exp } = jwt.decode(challengeToken);
+
+  return { challengeToken, expiresAt: new Date(exp * 1000) };
+};
+
+export const verifyTwoFactorChallenge = (token) => verifyToken(token, '2fa');
+
+// Create and store a new refresh token for a session, returning the raw token
+export const generateRefreshToken = async (user, session, ipAddress) => {
+  const token = crypto.randomBytes(40).toString('hex');
+  const expiresAt = getRefreshTokenExpiresAt();
+
+  await RefreshToken.create({
+    user: user._id,
+    session: session._id,
+    tokenHash: hashToken(token),
+    expiresAt,
+    createdByIp: ipAddress,
+  });
+
+  // The session lives as long as its newest refresh token
+  await Session.updateOne({ _id: session._id }, { $set: { expiresAt } });
+
+  return token;
+};
+
+// Issue an access token and refresh token pair for a user's session
+export const issueTokens = async (user, session, ipAddress) => {
+  const token = generateAccessToken(user, session);
+  const refreshToken = await generateRefreshToken(user, session, ipAddress);
+  const { exp } = jwt.decode(token);
+
+  return {
+    token,
+    refreshToken,
+    expiresAt: new Date(exp * 1000),
+  };
+};
+
+// Claim a refresh token for rotation by revoking it; only one request can claim a token
+// Returns { refreshToken } when claimed, { reused } with the token when it had already been revoked,
+// or an empty object when it is unknown or expired
+export const claimRefreshToken = async (token) => {
+  const tokenHash = hashToken(token);
+  const refreshToken = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+
+  if (refreshToken) {
+    return { refreshToken };
+  }
+
+  const reused = await RefreshToken.findOne({ tokenHash, revokedAt: { $exists: true } });
+  return reused ? { reused } : {};
+};
+
+// Find a refresh token that has not been revoked or expired
+export const findActiveRefreshToken = async (token) => {
+  const refreshToken = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!refreshToken || refreshToken.revokedAt || refreshToken.expiresAt <= new Date()) {
+    return null;
+  }
+
+  return refreshToken;
+};
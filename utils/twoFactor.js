@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import { authenticator } from 'otplib';
+import User from '../models/User.js';
+
+const ISSUER = 'UNI';
+const BACKUP_CODE_COUNT = 10;
+
+// Accept codes from the previous and next 30 second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+export const generateTwoFactorSecret = () => authenticator.generateSecret();
+
+// otpauth:// URL for authenticator apps (usually shown as a QR code)
+export const buildOtpAuthUrl = (user, secret) => authenticator.keyuri(user.username, ISSUER, secret);
+
+// Time step a code belongs to, or null when it does not match the secret
+const getCodeStep = (secret, code) => {
+  if (!secret || !code) {
+    return null;
+  }
+  const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), secret);
+  if (delta === null) {
+    return null;
+  }
+  return Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+};
+
+// Check a code and record its time step on the user, so each code works only once
+// Codes from the recorded step or earlier are rejected, including by parallel requests
+export const verifyTwoFactorCode = async (user, secret, code) => {
+  const step = getCodeStep(secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }],
+    },
+    { $set: { twoFactorLastStep: step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Generate single-use recovery codes; only the hashes are stored
+export const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashBackupCode),
+  };
+};
+
+// Remove a matching backup code from the user (requires twoFactorBackupCodes to be selected)
+// Returns true when a code was used
+export const consumeBackupCode = (user, code) => {
+  const hash = hashBackupCode(code);
+  const index = (user.twoFactorBackupCodes || []).indexOf(hash);
+
+  if (index === -1) {
+    return false;
+  }
+
+  user.twoFactorBackupCodes.splice(index, 1);
+  return true;
+};
+
+// Check whether any of the user's roles enforce 2FA (requires roles to be populated)
+export const isTwoFactorRequired = (user) => (user.roles || []).some(role => role && role.requireTwoFactor);